@@ -1,8 +1,9 @@
 /* AI Passport & ID Photo (static, browser-only)
    - Camera capture + face validation (MediaPipe Face Detection)
-   - Background removal via remove.bg (Studio HD)
+   - Background removal via remove.bg (Studio HD, direct key or self-hosted proxy)
+     or offline (MediaPipe Selfie Segmentation)
    - Canvas-based enhancement + sharpening
-   - A4 print sheet generator + JPG/PDF export
+   - Print sheet generator (A4 / Letter / photo paper) + JPG/PDF export
 */
 
 (() => {
@@ -10,27 +11,316 @@
 
   // --- Constants (print) ---
   const MM_PER_INCH = 25.4;
-  // Keep the A4 sheet at 300DPI for mobile performance.
+  // Keep the sheet at 300DPI for mobile performance.
   // Render the passport crop at higher DPI for sharper output (then downsample onto the sheet).
   const SHEET_DPI = 300;
   const PHOTO_DPI = 450;
-  const A4_MM = { w: 210, h: 297 };
-  const PHOTO_MM = { w: 35, h: 45 };
-  const PHOTO_AR = PHOTO_MM.w / PHOTO_MM.h; // 35:45
+  // Digital export: JPEG quality is searched (bisection, `steps` encodes) within [min, max] for
+  // the highest quality that stays under the spec's KB limit.
+  const DIGITAL_JPEG = { min: 0.3, max: 0.95, steps: 7 };
+  // Sheet layout defaults; margin/gap are user-adjustable within SHEET_LAYOUT_LIMITS (mm).
   const SHEET_LAYOUT = {
-    maxCols: 5, // user requested: 5 photos per row
     marginMm: 5,
     gapMm: 1,
+    rotate: true,
+    cutMarks: false,
+    bleedMm: 0,
+    /** @type {"off" | "photo" | "sheet"} */
+    captions: "off",
+    ruler: false,
   };
+  const SHEET_LAYOUT_LIMITS = {
+    marginMm: { min: 0, max: 30 },
+    gapMm: { min: 0, max: 10 },
+    bleedMm: { min: 0, max: 3 },
+  };
+  // Cutting aids (mm): crop marks start `markOffsetMm` outside the bleed and run `markLengthMm`;
+  // a caption is one `captionMm` line; the ruler / sheet caption share a bottom band of `bandMm`.
+  const SHEET_MARKS = { markOffsetMm: 0.5, markLengthMm: 2.5, captionMm: 3, rulerMm: 50, bandMm: 7 };
+  // Quantities beyond one page continue on extra pages (PDF pages / one JPG per page), up to this.
+  const SHEET_MAX_PAGES = 10;
+  const PT_PER_MM = 72 / MM_PER_INCH;
+
+  // Paper sizes are stored portrait; landscape swaps w/h.
+  /** @typedef {{ id: string, label: string, short: string, mm: { w: number, h: number } }} PaperSize */
+  /** @type {Record<string, PaperSize>} */
+  const PAPER_SIZES = {
+    a4: { id: "a4", label: "A4 (210×297mm)", short: "A4", mm: { w: 210, h: 297 } },
+    letter: { id: "letter", label: "US Letter (8.5×11in)", short: "Letter", mm: { w: 215.9, h: 279.4 } },
+    photo4x6: { id: "photo4x6", label: "Photo 4×6in", short: "4×6in", mm: { w: 101.6, h: 152.4 } },
+    photo10x15: { id: "photo10x15", label: "Photo 10×15cm", short: "10×15cm", mm: { w: 100, h: 150 } },
+    a5: { id: "a5", label: "A5 (148×210mm)", short: "A5", mm: { w: 148, h: 210 } },
+  };
+  const DEFAULT_PAPER_ID = "a4";
+  // On-screen preview is fitted into this box (matches the canvas size in index.html).
+  const SHEET_PREVIEW_MAX = { w: 620, h: 877 };
 
   const pxFromMm = (mm, dpi) => Math.round((mm / MM_PER_INCH) * dpi);
-  const PHOTO_PX = { w: pxFromMm(PHOTO_MM.w, PHOTO_DPI), h: pxFromMm(PHOTO_MM.h, PHOTO_DPI) };
-  const PHOTO_SHEET_PX = { w: pxFromMm(PHOTO_MM.w, SHEET_DPI), h: pxFromMm(PHOTO_MM.h, SHEET_DPI) };
-  const SHEET_PX = { w: pxFromMm(A4_MM.w, SHEET_DPI), h: pxFromMm(A4_MM.h, SHEET_DPI) };
+  const pxSizeFromMm = (mm, dpi) => ({ w: pxFromMm(mm.w, dpi), h: pxFromMm(mm.h, dpi) });
 
   const MP_FACE_VERSION = "0.4.1646425229";
+  const MP_SEG_VERSION = "0.1.1675465747";
+  // Offline background model: the pinned copy in ./vendor (see its README), so the Offline engine
+  // needs no network; the CDN only if a deployment leaves vendor/ out.
+  const SEG_ASSET_BASES = [
+    "./vendor/selfie_segmentation/",
+    `https://cdn.jsdelivr.net/npm/@mediapipe/selfie_segmentation@${MP_SEG_VERSION}/`,
+  ];
+  // Mask confidence → alpha ramp (tightens the soft low-res mask edge).
+  const SEG_EDGE = { lo: 0.3, hi: 0.7 };
+
+  const REMOVEBG = {
+    apiBase: "https://api.remove.bg/v1.0",
+    timeoutMs: 30000, // per attempt
+    maxAttempts: 3, // retries only on 429 / 5xx
+    backoffMs: 1000,
+    maxBackoffMs: 10000,
+  };
+  // User-facing remove.bg messages (picked by navigator.language, English fallback).
+  const REMOVEBG_MESSAGES = {
+    en: {
+      missing_key: "Missing remove.bg API key. Paste it in the field above, or switch to Offline.",
+      missing_proxy: "Missing proxy URL. Enter your background-removal proxy address above.",
+      too_large: "The photo is too large for the background-removal proxy.",
+      no_foreground: "remove.bg could not find a person in the photo. Retake it with the face clearly visible.",
+      bad_request: "remove.bg rejected the image. Try retaking the photo.",
+      out_of_credits: "Your remove.bg account is out of credits. Top it up or switch to Offline.",
+      bad_key: "remove.bg rejected the API key. Check the key or switch to Offline.",
+      rate_limited: "remove.bg is busy (rate limit). Wait a moment and try again.",
+      server: "remove.bg is temporarily unavailable. Try again or switch to Offline.",
+      timeout: "remove.bg did not respond in time. Check your connection and try again.",
+      network: "Could not reach remove.bg. Check your connection or switch to Offline.",
+      cancelled: "Background removal cancelled.",
+      unknown: "remove.bg failed unexpectedly. Try again or switch to Offline.",
+      credits: "Credits: {credits} • Free previews: {free}",
+    },
+    ar: {
+      missing_key: "مفتاح remove.bg غير موجود. الصقه في الحقل أعلاه أو استخدم الوضع دون اتصال.",
+      missing_proxy: "عنوان الخادم الوسيط غير موجود. أدخل عنوان خادم إزالة الخلفية أعلاه.",
+      too_large: "الصورة أكبر من الحد المسموح به لدى الخادم الوسيط.",
+      no_foreground: "لم يتمكن remove.bg من العثور على شخص في الصورة. أعد التصوير مع ظهور الوجه بوضوح.",
+      bad_request: "رفض remove.bg الصورة. حاول إعادة التصوير.",
+      out_of_credits: "نفد رصيد حساب remove.bg. اشحن الرصيد أو استخدم الوضع دون اتصال.",
+      bad_key: "رفض remove.bg مفتاح API. تحقق من المفتاح أو استخدم الوضع دون اتصال.",
+      rate_limited: "remove.bg مشغول حاليًا (حد الطلبات). انتظر قليلًا ثم حاول مجددًا.",
+      server: "خدمة remove.bg غير متاحة مؤقتًا. حاول مجددًا أو استخدم الوضع دون اتصال.",
+      timeout: "لم يستجب remove.bg في الوقت المحدد. تحقق من الاتصال وحاول مجددًا.",
+      network: "تعذر الاتصال بـ remove.bg. تحقق من الاتصال أو استخدم الوضع دون اتصال.",
+      cancelled: "تم إلغاء إزالة الخلفية.",
+      unknown: "فشل remove.bg بشكل غير متوقع. حاول مجددًا أو استخدم الوضع دون اتصال.",
+      credits: "الرصيد: {credits} • المعاينات المجانية: {free}",
+    },
+    fr: {
+      missing_key: "Clé API remove.bg manquante. Collez-la dans le champ ci-dessus ou passez en mode hors ligne.",
+      missing_proxy: "URL du proxy manquante. Saisissez l'adresse de votre proxy ci-dessus.",
+      too_large: "La photo est trop volumineuse pour le proxy de suppression d'arrière-plan.",
+      no_foreground: "remove.bg n'a trouvé personne sur la photo. Reprenez-la avec le visage bien visible.",
+      bad_request: "remove.bg a refusé l'image. Essayez de reprendre la photo.",
+      out_of_credits: "Votre compte remove.bg n'a plus de crédits. Rechargez-le ou passez en mode hors ligne.",
+      bad_key: "remove.bg a refusé la clé API. Vérifiez la clé ou passez en mode hors ligne.",
+      rate_limited: "remove.bg est occupé (limite de requêtes). Patientez un instant puis réessayez.",
+      server: "remove.bg est temporairement indisponible. Réessayez ou passez en mode hors ligne.",
+      timeout: "remove.bg n'a pas répondu à temps. Vérifiez votre connexion et réessayez.",
+      network: "Impossible de joindre remove.bg. Vérifiez votre connexion ou passez en mode hors ligne.",
+      cancelled: "Suppression de l'arrière-plan annulée.",
+      unknown: "remove.bg a échoué de façon inattendue. Réessayez ou passez en mode hors ligne.",
+      credits: "Crédits : {credits} • Aperçus gratuits : {free}",
+    },
+    es: {
+      missing_key: "Falta la clave API de remove.bg. Pégala en el campo de arriba o cambia a Sin conexión.",
+      missing_proxy: "Falta la URL del proxy. Introduce arriba la dirección de tu proxy.",
+      too_large: "La foto es demasiado grande para el proxy de eliminación de fondo.",
+      no_foreground: "remove.bg no encontró a ninguna persona en la foto. Repítela con la cara bien visible.",
+      bad_request: "remove.bg rechazó la imagen. Intenta repetir la foto.",
+      out_of_credits: "Tu cuenta de remove.bg no tiene créditos. Recárgala o cambia a Sin conexión.",
+      bad_key: "remove.bg rechazó la clave API. Revisa la clave o cambia a Sin conexión.",
+      rate_limited: "remove.bg está ocupado (límite de solicitudes). Espera un momento y vuelve a intentarlo.",
+      server: "remove.bg no está disponible temporalmente. Vuelve a intentarlo o cambia a Sin conexión.",
+      timeout: "remove.bg no respondió a tiempo. Revisa tu conexión y vuelve a intentarlo.",
+      network: "No se pudo conectar con remove.bg. Revisa tu conexión o cambia a Sin conexión.",
+      cancelled: "Eliminación del fondo cancelada.",
+      unknown: "remove.bg falló inesperadamente. Vuelve a intentarlo o cambia a Sin conexión.",
+      credits: "Créditos: {credits} • Vistas previas gratis: {free}",
+    },
+  };
+
+  const BG_COLORS = { white: "FFFFFF", gray: "D0D0D0", lightGray: "E4E4E4", cream: "F2ECDF" };
+  const BG_COLOR_NAMES = { white: "White", gray: "Gray", lightGray: "Light gray", cream: "Cream" };
+
+  // --- Document specs ---
+  // headMm: crown→chin height. eyeMm: eye line measured UP from the bottom edge.
+  // digital: exact pixel size + file-size window for online submissions (null = print only).
+  /**
+   * @typedef {{ w: number, h: number, minKb: number, maxKb: number }} DigitalSpec
+   * @typedef {{
+   *   id: string,
+   *   label: string,
+   *   mm: { w: number, h: number },
+   *   headMm: { min: number, max: number },
+   *   eyeMm: { min: number, max: number },
+   *   bg: string[],
+   *   digital: DigitalSpec | null,
+   * }} PhotoSpec
+   */
+  /** @type {Record<string, PhotoSpec>} */
+  const PHOTO_SPECS = {
+    schengen: {
+      id: "schengen",
+      label: "Schengen / EU passport & visa (35×45mm)",
+      mm: { w: 35, h: 45 },
+      headMm: { min: 32, max: 36 },
+      eyeMm: { min: 22, max: 28 },
+      bg: ["white", "gray"],
+      digital: null,
+    },
+    uk: {
+      id: "uk",
+      label: "UK passport (35×45mm)",
+      mm: { w: 35, h: 45 },
+      headMm: { min: 29, max: 34 },
+      eyeMm: { min: 22, max: 28 },
+      bg: ["lightGray", "cream"],
+      digital: { w: 600, h: 750, minKb: 50, maxKb: 10240 },
+    },
+    us_passport: {
+      id: "us_passport",
+      label: "US passport (2×2in)",
+      mm: { w: 50.8, h: 50.8 },
+      headMm: { min: 25.4, max: 35 },
+      eyeMm: { min: 28.6, max: 34.9 },
+      bg: ["white"],
+      digital: { w: 600, h: 600, minKb: 0, maxKb: 240 },
+    },
+    us_visa: {
+      id: "us_visa",
+      label: "US visa DS-160 (2×2in)",
+      mm: { w: 50.8, h: 50.8 },
+      headMm: { min: 25.4, max: 35 },
+      eyeMm: { min: 28.6, max: 34.9 },
+      bg: ["white"],
+      digital: { w: 600, h: 600, minKb: 0, maxKb: 240 },
+    },
+    canada: {
+      id: "canada",
+      label: "Canada passport (50×70mm)",
+      mm: { w: 50, h: 70 },
+      headMm: { min: 31, max: 36 },
+      eyeMm: { min: 38, max: 46 },
+      bg: ["white", "lightGray"],
+      digital: { w: 420, h: 540, minKb: 0, maxKb: 4096 },
+    },
+    china_visa: {
+      id: "china_visa",
+      label: "China visa (33×48mm)",
+      mm: { w: 33, h: 48 },
+      headMm: { min: 28, max: 33 },
+      eyeMm: { min: 27, max: 32 },
+      bg: ["white"],
+      digital: { w: 354, h: 472, minKb: 40, maxKb: 120 },
+    },
+    india: {
+      id: "india",
+      label: "India passport & visa (51×51mm)",
+      mm: { w: 51, h: 51 },
+      headMm: { min: 25, max: 35 },
+      eyeMm: { min: 28, max: 35 },
+      bg: ["white"],
+      digital: null,
+    },
+    india_evisa: {
+      id: "india_evisa",
+      label: "India e-Visa (digital, square)",
+      mm: { w: 51, h: 51 },
+      headMm: { min: 25, max: 35 },
+      eyeMm: { min: 28, max: 35 },
+      bg: ["white"],
+      digital: { w: 600, h: 600, minKb: 10, maxKb: 1024 },
+    },
+  };
+  const DEFAULT_SPEC_ID = "schengen";
+
+  // Face model used to map detector boxes onto official measurements:
+  // - the detector box (brows→chin) is ~72% of the crown→chin head height
+  // - the eye line sits slightly above the middle of the head
+  // - head width is ~74% of head height
+  const FACE_BOX_TO_HEAD = 0.72;
+  const EYE_FROM_CROWN = 0.48;
+  const HEAD_W_TO_H = 0.74;
+  // Share of the camera frame height the on-screen guide covers at the middle of the distance band.
+  const GUIDE_FRAME_H = 0.7;
+
+  // Head pose tolerances from detector keypoints:
+  // - rollDeg: tilt of the eye line
+  // - yaw: nose offset from the eye midpoint, as a fraction of the eye distance
+  const POSE_LIMITS = { rollDeg: 6, yaw: 0.16 };
+  // Crop-time roll correction is capped (larger tilts are blocked by validation anyway).
+  const MAX_ROLL_FIX = (10 * Math.PI) / 180;
+  // Crown→chin from keypoints: ≈3.5× the eye distance; eye→chin ≈1.6× eye→mouth.
+  const HEAD_PER_EYE_DIST = 3.5;
+  const CHIN_PER_MOUTH = 1.6;
+  // Manual crop editor: zoom factor either way from the starting crop, absolute rotation cap,
+  // and the eye-line tilt (degrees) it still accepts.
+  const CROP_EDIT = { zoom: 1.5, rotateDeg: 15, tiltDeg: 2 };
+
+  // Post-capture quality gate on the raw crop's inner face region ("bad" blocks, "warn" notes):
+  // - blur: Laplacian variance with the face resampled to `sampleW` px wide (print-scale detail)
+  // - dark / bright: median face luminance (0..255); clipped: share of pixels ≥250 in any channel
+  // - cb / cr: median skin chroma (YCbCr); outside these bounds reads as a colour cast
+  // - noise: Immerkær sigma estimate at full crop resolution
+  const QUALITY = {
+    sampleW: 160,
+    blur: { bad: 25, warn: 60 },
+    dark: { bad: 55, warn: 80 },
+    bright: { warn: 200, bad: 225 },
+    clipped: { warn: 0.03, bad: 0.1 },
+    cb: { min: 92, max: 130 },
+    cr: { min: 130, max: 178 },
+    noise: { warn: 7, bad: 12 },
+  };
+
+  // Photo adjustments in slider units: exposure = levels added, contrast / warmth = %, sharpen =
+  // unsharp strength %. The ranges stop short of anything that reads as retouching on an official
+  // photo; `def` is the fixed look used before the sliders existed. Auto levels only pull a face
+  // median outside `faceLuma` back to that band (skin tone itself is left alone), scale the face
+  // p5..p95 spread toward `faceSpread`, and neutralize the original background (cutout alpha ≈ 0,
+  // luma ≥ `bgMinLuma`) when at least `bgMinShare` of the crop shows it.
+  const ENHANCE = {
+    exposure: { min: -20, max: 20, def: 2 },
+    contrast: { min: -10, max: 15, def: 4 },
+    warmth: { min: -12, max: 12, def: 0 },
+    sharpen: { min: 0, max: 80, def: 60 },
+    auto: { faceLuma: { min: 110, max: 190 }, faceSpread: 120, bgMinLuma: 90, bgMinShare: 0.02 },
+  };
+
+  // Live lighting checks on the detection frame's face box (luminance 0..255, smoothed over frames):
+  // - dark / bright: face median; clipped: share of face pixels ≥250
+  // - backlight: surroundings brighter than the face by this much
+  // - sideRatio: |left − right| / brighter half of the face
+  // - shadow: p90 / p10 spread with a deep p10 (hard light, not skin tone)
+  const LIGHTING = {
+    dark: 60,
+    bright: 215,
+    clipped: 0.12,
+    backlight: 70,
+    sideRatio: 0.28,
+    shadow: { spread: 4, p10: 45 },
+    smoothing: 0.5,
+  };
 
-  const BG_COLORS = { white: "FFFFFF", gray: "D0D0D0" };
+  // Hands-free capture: OK streak (validateLive ticks, ~240ms each) before the countdown,
+  // countdown seconds, then a burst of full-res frames `burstGapMs` apart.
+  const AUTO_CAPTURE = { stableTicks: 6, countdownSec: 3, burst: 5, burstGapMs: 120 };
+
+  // Face detector health (auto backend only): MediaPipe finding nobody for `stuckTicks` live ticks
+  // counts as stuck only if a fallback finds a face in the same frame. While a fallback runs,
+  // MediaPipe is re-checked every `probeMs` and taken back once it sees the same faces.
+  const FACE_HEALTH = { stuckTicks: 8, probeMs: 10000 };
+  // Detector harness (?faceHarness): sample images and their expected face counts.
+  const FACE_SAMPLES_MANIFEST = "samples/faces/manifest.json";
+  // Uploads with several faces (see pickFace): the crop may shrink to `minCropFrac` of the source
+  // height (small faces in a group shot), is graded on how far it gets upscaled to photoPx, and
+  // blocked when more than `intrusionMax` of another face's box lands inside the frame.
+  const FACE_PICK = { minCropFrac: 0.08, upscale: { warn: 2, bad: 4 }, intrusionMax: 0.05, previewPx: 1200 };
 
   // --- Elements ---
   const $ = (id) => /** @type {HTMLElement} */ (document.getElementById(id));
@@ -45,20 +335,101 @@
   const validationMsg = $("validationMsg");
   const statusPill = $("statusPill");
   const cameraHint = $("cameraHint");
+  const faceBackendSelect = /** @type {HTMLSelectElement} */ ($("faceBackend"));
+  const faceBackendStatus = $("faceBackendStatus");
+  const faceHarnessPanel = $("faceHarnessPanel");
+  const btnFaceHarness = /** @type {HTMLButtonElement} */ ($("btnFaceHarness"));
+  const faceHarnessMeta = $("faceHarnessMeta");
+  const faceHarnessResults = $("faceHarnessResults");
+  const specSelect = /** @type {HTMLSelectElement} */ ($("specSelect"));
+  const overlayFrame = $("overlayFrame");
+  const autoCaptureToggle = /** @type {HTMLInputElement} */ ($("autoCapture"));
+  const countdownEl = $("countdown");
+  const cameraBox = $("cameraBox");
+  const facePick = $("facePick");
+  const facePickStage = $("facePickStage");
+  const facePickCanvas = /** @type {HTMLCanvasElement} */ ($("facePickCanvas"));
+  const facePickNote = $("facePickNote");
+  const btnFacePickCancel = /** @type {HTMLButtonElement} */ ($("btnFacePickCancel"));
 
   const qtyInput = /** @type {HTMLInputElement} */ ($("qty"));
+  const paperSelect = /** @type {HTMLSelectElement} */ ($("paperSelect"));
+  const paperOrientSelect = /** @type {HTMLSelectElement} */ ($("paperOrient"));
+  const sheetTitle = $("sheetTitle");
   const btnDownloadJpg = /** @type {HTMLButtonElement} */ ($("btnDownloadJpg"));
   const btnDownloadPdf = /** @type {HTMLButtonElement} */ ($("btnDownloadPdf"));
+  const btnDownloadDigital = /** @type {HTMLButtonElement} */ ($("btnDownloadDigital"));
+  const exportProgressRow = $("exportProgressRow");
+  const exportProgress = /** @type {HTMLProgressElement} */ ($("exportProgress"));
+  const btnExportCancel = /** @type {HTMLButtonElement} */ ($("btnExportCancel"));
+  const digitalFormatSelect = /** @type {HTMLSelectElement} */ ($("digitalFormat"));
+  const digitalSummary = $("digitalSummary");
+  const btnKeepOnSheet = /** @type {HTMLButtonElement} */ ($("btnKeepOnSheet"));
+  const btnClearSheet = /** @type {HTMLButtonElement} */ ($("btnClearSheet"));
+  const sheetItemsList = $("sheetItems");
+  const sheetPager = $("sheetPager");
+  const sheetPageLabel = $("sheetPageLabel");
+  const btnPagePrev = /** @type {HTMLButtonElement} */ ($("btnPagePrev"));
+  const btnPageNext = /** @type {HTMLButtonElement} */ ($("btnPageNext"));
+  const sheetMarginInput = /** @type {HTMLInputElement} */ ($("sheetMargin"));
+  const sheetGapInput = /** @type {HTMLInputElement} */ ($("sheetGap"));
+  const sheetRotateToggle = /** @type {HTMLInputElement} */ ($("sheetRotate"));
+  const sheetCutMarksToggle = /** @type {HTMLInputElement} */ ($("sheetCutMarks"));
+  const sheetBleedInput = /** @type {HTMLInputElement} */ ($("sheetBleed"));
+  const sheetRulerToggle = /** @type {HTMLInputElement} */ ($("sheetRuler"));
+  const sheetCaptionsSelect = /** @type {HTMLSelectElement} */ ($("sheetCaptions"));
+  const captionNameInput = /** @type {HTMLInputElement} */ ($("captionName"));
+
+  const batchFilesInput = /** @type {HTMLInputElement} */ ($("batchFiles"));
+  const batchFolderInput = /** @type {HTMLInputElement} */ ($("batchFolder"));
+  const btnBatchFiles = /** @type {HTMLButtonElement} */ ($("btnBatchFiles"));
+  const btnBatchFolder = /** @type {HTMLButtonElement} */ ($("btnBatchFolder"));
+  const btnBatchRetry = /** @type {HTMLButtonElement} */ ($("btnBatchRetry"));
+  const btnBatchCancel = /** @type {HTMLButtonElement} */ ($("btnBatchCancel"));
+  const btnBatchClear = /** @type {HTMLButtonElement} */ ($("btnBatchClear"));
+  const btnBatchZip = /** @type {HTMLButtonElement} */ ($("btnBatchZip"));
+  const batchSheetsToggle = /** @type {HTMLInputElement} */ ($("batchSheets"));
+  const batchList = $("batchList");
+  const batchMeta = $("batchMeta");
+  const galleryList = $("galleryList");
+  const galleryMeta = $("galleryMeta");
+  const galleryKeepSelect = /** @type {HTMLSelectElement} */ ($("galleryKeep"));
+  const btnGalleryClear = /** @type {HTMLButtonElement} */ ($("btnGalleryClear"));
 
   const workCanvas = /** @type {HTMLCanvasElement} */ ($("workCanvas"));
   const maskCanvas = /** @type {HTMLCanvasElement} */ ($("maskCanvas"));
   const photoCanvas = /** @type {HTMLCanvasElement} */ ($("photoCanvas"));
   const sheetCanvasPreview = /** @type {HTMLCanvasElement} */ ($("sheetCanvasPreview"));
 
+  const photoTitle = $("photoTitle");
   const photoMeta = $("photoMeta");
   const sheetMeta = $("sheetMeta");
   const removebgKey = /** @type {HTMLInputElement} */ ($("removebgKey"));
   const btnApplyBg = /** @type {HTMLButtonElement} */ ($("btnApplyBg"));
+  const bgEngineSelect = /** @type {HTMLSelectElement} */ ($("bgEngine"));
+  const removebgKeyRow = $("removebgKeyRow");
+  const removebgModeRow = $("removebgModeRow");
+  const removebgModeSelect = /** @type {HTMLSelectElement} */ ($("removebgMode"));
+  const removebgProxyRow = $("removebgProxyRow");
+  const removebgProxyUrl = /** @type {HTMLInputElement} */ ($("removebgProxyUrl"));
+  const removebgCredits = $("removebgCredits");
+  const btnCancelBg = /** @type {HTMLButtonElement} */ ($("btnCancelBg"));
+  const bgColorOpts = $("bgColorOpts");
+  const btnAdjust = /** @type {HTMLButtonElement} */ ($("btnAdjust"));
+  const btnUndo = /** @type {HTMLButtonElement} */ ($("btnUndo"));
+  const btnRedo = /** @type {HTMLButtonElement} */ ($("btnRedo"));
+  const btnCompare = /** @type {HTMLButtonElement} */ ($("btnCompare"));
+  const enhanceBar = $("enhanceBar");
+  const enhanceAutoToggle = /** @type {HTMLInputElement} */ ($("enhanceAuto"));
+  const btnEnhanceReset = /** @type {HTMLButtonElement} */ ($("btnEnhanceReset"));
+  const compareCanvas = /** @type {HTMLCanvasElement} */ ($("compareCanvas"));
+  const cropEditBar = $("cropEditBar");
+  const cropZoom = /** @type {HTMLInputElement} */ ($("cropZoom"));
+  const cropRotate = /** @type {HTMLInputElement} */ ($("cropRotate"));
+  const cropEditStatus = $("cropEditStatus");
+  const btnCropReset = /** @type {HTMLButtonElement} */ ($("btnCropReset"));
+  const btnCropCancel = /** @type {HTMLButtonElement} */ ($("btnCropCancel"));
+  const btnCropApply = /** @type {HTMLButtonElement} */ ($("btnCropApply"));
 
   // --- State ---
   /** @type {MediaStream | null} */
@@ -75,38 +446,187 @@
   /** @type {any} */
   let lastFaceResults = null;
 
+  // Transparent person cutouts keyed by `${engine}:${hash of rawPhotoCanvas}` (insertion order = LRU).
+  /** @type {Map<string, HTMLCanvasElement>} */
+  const cutoutCache = new Map();
+  const CUTOUT_CACHE_MAX = 8;
+  // Later pipeline stages (composite on a color, enhancement) keyed by their inputs, same LRU.
+  /** @type {Map<string, HTMLCanvasElement>} */
+  const stageCache = new Map();
+  const STAGE_CACHE_MAX = 12;
+
+  // In-flight background removal (Cancel button / superseded by a newer apply).
+  /** @type {AbortController | null} */
+  let bgAbort = null;
+
+  // Pixel worker (started on first use) and its pending jobs by id.
+  /** @type {Worker | null} */
+  let pixelWorker = null;
+  /** @type {Map<number, { resolve: Function, reject: Function, onProgress?: Function }>} */
+  const workerJobs = new Map();
+  let workerJobSeq = 0;
+  let workerBroken = false;
+  // In-flight sheet export (JPG/PDF), cancelled by #btnExportCancel.
+  /** @type {AbortController | null} */
+  let exportAbort = null;
+  // Adjustments for the current photo (ENHANCE units). With `auto` on, exposure, contrast and
+  // warmth are re-derived from each photo; sharpen is always manual.
+  /** @type {{ auto: boolean, exposure: number, contrast: number, warmth: number, sharpen: number }} */
+  let enhanceSettings = defaultEnhance();
+
+  /** @type {any} */
+  let selfieSeg = null;
+  /** @type {any} */
+  let lastSegResults = null;
+
   // Fast detection frame (downscaled) to keep iPhone responsive.
   const detectCanvas = document.createElement("canvas");
   /** @type {number} */
   const DETECT_MAX_W = 360;
   let noFaceStreak = 0;
+  // Smoothed face lighting stats for live guidance (null when no face is tracked).
+  let lightingEma = null;
+  // Auto-capture: consecutive OK validations, and the running countdown/burst (abort to cancel).
+  let okStreak = 0;
+  /** @type {AbortController | null} */
+  let autoCaptureAbort = null;
+  /** @type {AudioContext | null} */
+  let cueAudio = null;
 
   // Keep an unprocessed crop so Studio/Fast can be re-applied without stacking filters.
   const rawPhotoCanvas = document.createElement("canvas");
   let hasRawPhoto = false;
+  // workCanvas still holds the last full source frame (used to re-crop when the spec changes).
+  let hasSourceFrame = false;
+  // Achieved head height / eye line / roll of the current crop (null after a session restore).
+  let lastCropMeasure = null;
+  // Crop of workCanvas behind the current photo (+ its `face`), the manual editor's starting point.
+  let lastCrop = null;
+  // Detection already run on the upload in workCanvas: the FaceHit to crop around (null: none
+  // found) and, when it was `picked` on a group photo, the `others` that must stay out of the
+  // frame. null for camera frames, which are detected in processSourceCanvas.
+  /** @type {{ face: FaceHit | null, others: FaceHit[], picked: boolean } | null} */
+  let sourceFaces = null;
+  // Resolves an open face picker with null (see pickFace).
+  /** @type {(() => void) | null} */
+  let facePickCancel = null;
+  // Non-blocking quality-gate findings for the current photo ("" when clean).
+  let qualityNote = "";
+  // Open manual crop editor (see openCropEditor) + its active pointers and pending redraw.
+  /**
+   * @type {{
+   *   src: HTMLCanvasElement, crop: any, start: any, face: any, others: FaceHit[], before: HTMLCanvasElement,
+   * } | null}
+   */
+  let cropEditor = null;
+  /** @type {Map<number, { x: number, y: number }>} */
+  const editPointers = new Map();
+  let editFrame = 0;
+  // Undo/redo of user edits to the current photo (crop, background color/engine). Each state holds
+  // its raw crop; re-applying one is served from the stage caches and never spends a remove.bg
+  // credit (the cutout cache holds fewer states than the history).
+  /** @typedef {{ raw: HTMLCanvasElement, measured: any, crop: any, bgHex: string, engine: string }} EditState */
+  /** @type {{ past: EditState[], present: EditState | null, future: EditState[] }} */
+  const editHistory = { past: [], present: null, future: [] };
+  const EDIT_HISTORY_MAX = 15;
+  // Before/after split view (0..1 = share of the width showing the raw crop), null when off.
+  let compareSplit = null;
+  // Bumped whenever photoCanvas gets new content; part of the sheet render key.
+  let photoVersion = 0;
+  let sheetRenderKey = "";
+
+  // Active document spec + derived pixel sizes (photo @ PHOTO_DPI, sheet cell @ SHEET_DPI).
+  /** @type {PhotoSpec} */
+  let activeSpec = PHOTO_SPECS[DEFAULT_SPEC_ID];
+  let photoPx = pxSizeFromMm(activeSpec.mm, PHOTO_DPI);
+  let photoSheetPx = pxSizeFromMm(activeSpec.mm, SHEET_DPI);
 
   const STORAGE = {
     removebgKey: "passport_removebg_key",
+    removebgMode: "passport_removebg_mode",
+    removebgProxyUrl: "passport_removebg_proxy_url",
     rawPhoto: "passport_raw_photo_v1",
+    rawPhotoSpec: "passport_raw_photo_spec_v1",
     bgColor: "passport_bg_color",
+    spec: "passport_photo_spec",
+    bgEngine: "passport_bg_engine",
+    paper: "passport_paper_size",
+    paperOrient: "passport_paper_orient",
+    sheetLayout: "passport_sheet_layout",
+    autoCapture: "passport_auto_capture",
+    digitalFormat: "passport_digital_format",
+    galleryKeepDays: "passport_gallery_keep_days",
+    faceBackend: "passport_face_backend",
   };
+  // Saved photos (IndexedDB): one record per capture; records untouched for `keepDays` are purged
+  // (0 = until deleted).
+  const GALLERY = { db: "passport_gallery", version: 1, store: "captures", thumbPx: 96, keepDays: 30 };
 
-  // Face detection fallback mode:
+  // Face detection backend (see FACE_BACKENDS). `faceBackendPref` is the user setting: "auto"
+  // (MediaPipe, with fallbacks chosen by the health checks) or a forced backend. `faceMode` is the
+  // backend in use:
   // - "mediapipe" (default)
   // - "shape" (Shape Detection API FaceDetector)
   // - "blazeface" (TensorFlow.js + BlazeFace, lazy-loaded)
+  /** @type {"auto" | "mediapipe" | "shape" | "blazeface"} */
+  let faceBackendPref = "auto";
   /** @type {"mediapipe" | "shape" | "blazeface"} */
   let faceMode = "mediapipe";
   /** @type {any} */
   let faceDetectorApi = null;
   /** @type {any} */
   let blazeModel = null;
-  let mpFaceBroken = false;
-
-  // Full-res sheet used for export (A4 @ 300dpi)
-  const sheetCanvasFull = document.createElement("canvas");
-  sheetCanvasFull.width = SHEET_PX.w;
-  sheetCanvasFull.height = SHEET_PX.h;
+  // Last run per backend ({ ms, faces }) for the status line; last MediaPipe re-check (auto mode).
+  const faceStats = {};
+  let mpProbeAt = 0;
+
+  // Active paper + orientation, and the derived sheet size (mm / px @ SHEET_DPI).
+  /** @type {PaperSize} */
+  let activePaper = PAPER_SIZES[DEFAULT_PAPER_ID];
+  // User sheet layout (margins for printers with large unprintable areas, gap, rotation).
+  let sheetLayout = { ...SHEET_LAYOUT };
+  let paperLandscape = false;
+  let sheetMm = { ...activePaper.mm };
+  let sheetPx = pxSizeFromMm(sheetMm, SHEET_DPI);
+
+  // A processed photo is on photoCanvas (sheet can be rendered / exported).
+  let hasOutput = false;
+
+  // Sheet composer: kept photos (snapshots of photoCanvas + the spec they were cut for), each with
+  // its own quantity. The current photo joins them (Quantity field) until it is kept itself.
+  // `thumb`: small data URL made once when the photo is kept (the list re-renders on every edit).
+  /** @type {{ id: number, canvas: HTMLCanvasElement, thumb: string, spec: PhotoSpec, qty: number, name: string }[]} */
+  let sheetItems = [];
+  let sheetItemSeq = 0;
+  let currentKept = false;
+  // Page shown in the preview (0-based) when the sheet spans several pages.
+  let sheetPage = 0;
+  // photoWithBleed results per photo canvas, so preview redraws don't rebuild them.
+  const bleedCache = new WeakMap();
+
+  // Batch queue: uploaded files processed one at a time with the current document/background
+  // settings. `photo` is the finished photo (photoPx of `spec`); `issue` explains a failure
+  // (or a quality warning on a done item).
+  /**
+   * @typedef {{
+   *   id: number, file: File, name: string,
+   *   status: "queued" | "working" | "done" | "failed",
+   *   issue: string, photo: HTMLCanvasElement | null, spec: PhotoSpec | null, thumb: string,
+   * }} BatchItem
+   */
+  /** @type {BatchItem[]} */
+  let batchItems = [];
+  let batchItemSeq = 0;
+  /** @type {AbortController | null} */
+  let batchAbort = null;
+
+  // Gallery record the current photo belongs to ({ id: null } until its first write lands), so
+  // crop edits and background changes update it instead of adding new records.
+  /** @type {{ id: number | null } | null} */
+  let galleryCurrent = null;
+  // Gallery writes run one after another (an update must not overtake the insert it updates).
+  let galleryWrites = Promise.resolve();
+  let galleryUrls = [];
 
   // Track last valid quantity so empty typing doesn't "snap" instantly.
   let lastGoodQty = 12;
@@ -141,62 +661,139 @@
     setStatus(kind === "ok" ? "Face OK" : kind === "warn" ? "Adjust" : kind === "bad" ? "Blocked" : "Ready", kind);
   }
 
+  function hasFinishedPhoto() {
+    // While the crop editor is open photoCanvas holds its preview, guides drawn in.
+    return hasOutput && !cropEditor;
+  }
+
   function updateApplyBgUi() {
     if (btnApplyBg) enable(btnApplyBg, hasRawPhoto);
+    if (btnAdjust) enable(btnAdjust, hasRawPhoto && !cropEditor);
+    const hd = getBgEngine() === "removebg";
+    const proxy = getRemoveBgMode() === "proxy";
+    if (removebgModeRow) removebgModeRow.classList.toggle("hidden", !hd);
+    if (removebgKeyRow) removebgKeyRow.classList.toggle("hidden", !hd || proxy);
+    if (removebgProxyRow) removebgProxyRow.classList.toggle("hidden", !hd || !proxy);
+  }
+
+  // "key": the browser calls remove.bg with the user's key.
+  // "proxy": a server (server/removebg-proxy.js) holds the key.
+  /** @returns {"key" | "proxy"} */
+  function getRemoveBgMode() {
+    return removebgModeSelect?.value === "proxy" ? "proxy" : "key";
+  }
+
+  /** @returns {"local" | "removebg"} */
+  function getBgEngine() {
+    return bgEngineSelect?.value === "removebg" ? "removebg" : "local";
   }
 
   function getBackgroundColorHex() {
     const radio = document.querySelector('input[name="bgColor"]:checked');
     const v = radio?.getAttribute("value");
-    return typeof v === "string" && /^[0-9A-Fa-f]{6}$/.test(v) ? v.toUpperCase() : BG_COLORS.white;
+    return typeof v === "string" && /^[0-9A-Fa-f]{6}$/.test(v) ? v.toUpperCase() : BG_COLORS[activeSpec.bg[0]];
   }
 
-  async function restoreRawPhotoFromSession() {
-    try {
-      const dataUrl = sessionStorage.getItem(STORAGE.rawPhoto);
-      if (!dataUrl) return false;
+  // --- Document spec ---
+  const fmtMm = (n) => String(Math.round(n * 10) / 10);
 
-      const img = new Image();
-      img.decoding = "async";
-      img.src = dataUrl;
+  function photoAspect() {
+    return activeSpec.mm.w / activeSpec.mm.h;
+  }
 
-      if (img.decode) {
-        try {
-          await img.decode();
-        } catch {
-          await new Promise((res, rej) => {
-            img.onload = () => res();
-            img.onerror = () => rej(new Error("Failed to load stored photo."));
-          });
-        }
-      } else {
-        await new Promise((res, rej) => {
-          img.onload = () => res();
-          img.onerror = () => rej(new Error("Failed to load stored photo."));
-        });
-      }
+  function specTargetsMm(spec) {
+    // Aim for the middle of the official ranges (positions measured from the top edge).
+    const headMm = (spec.headMm.min + spec.headMm.max) / 2;
+    const eyeFromTopMm = spec.mm.h - (spec.eyeMm.min + spec.eyeMm.max) / 2;
+    const crownFromTopMm = eyeFromTopMm - headMm * EYE_FROM_CROWN;
+    return { headMm, eyeFromTopMm, crownFromTopMm, headWidthMm: headMm * HEAD_W_TO_H };
+  }
 
-      rawPhotoCanvas.width = PHOTO_PX.w;
-      rawPhotoCanvas.height = PHOTO_PX.h;
-      const rctx = rawPhotoCanvas.getContext("2d", { willReadFrequently: true });
-      rctx.clearRect(0, 0, PHOTO_PX.w, PHOTO_PX.h);
-      rctx.drawImage(img, 0, 0, PHOTO_PX.w, PHOTO_PX.h);
+  function specFaceFrac(spec) {
+    // Expected detector box height as a fraction of the photo height.
+    return (specTargetsMm(spec).headMm * FACE_BOX_TO_HEAD) / spec.mm.h;
+  }
 
-      photoCanvas.width = PHOTO_PX.w;
-      photoCanvas.height = PHOTO_PX.h;
-      const pctx = photoCanvas.getContext("2d", { willReadFrequently: true });
-      pctx.clearRect(0, 0, PHOTO_PX.w, PHOTO_PX.h);
-      pctx.drawImage(rawPhotoCanvas, 0, 0);
+  function photoMetaText() {
+    const { mm, headMm, eyeMm } = activeSpec;
+    const base = `${fmtMm(mm.w)}×${fmtMm(mm.h)}mm • ${photoPx.w}×${photoPx.h}px @ ${PHOTO_DPI}DPI`;
+    const m = lastCropMeasure;
+    if (!m) return `${base} • head ${fmtMm(headMm.min)}–${fmtMm(headMm.max)}mm`;
+    const mark = (v, r) => (v >= r.min && v <= r.max ? "✓" : "✗");
+    return (
+      `${base} • head ${fmtMm(m.headMm)}mm ${mark(m.headMm, headMm)} ` +
+      `(${fmtMm(headMm.min)}–${fmtMm(headMm.max)}) • eyes ${fmtMm(m.eyeMm)}mm ${mark(m.eyeMm, eyeMm)} ` +
+      `(${fmtMm(eyeMm.min)}–${fmtMm(eyeMm.max)}) • leveled ${fmtMm(m.rollDeg)}°`
+    );
+  }
 
-      hasRawPhoto = true;
-      photoMeta.textContent = `${PHOTO_MM.w}×${PHOTO_MM.h}mm • ${PHOTO_PX.w}×${PHOTO_PX.h}px @ ${PHOTO_DPI}DPI`;
-      updateApplyBgUi();
-      return true;
-    } catch {
-      return false;
+  function renderSpecOptions() {
+    if (!specSelect) return;
+    specSelect.innerHTML = "";
+    for (const spec of Object.values(PHOTO_SPECS)) {
+      const opt = document.createElement("option");
+      opt.value = spec.id;
+      opt.textContent = spec.label;
+      specSelect.appendChild(opt);
     }
   }
 
+  function renderBgColorOptions(preferredHex) {
+    if (!bgColorOpts) return;
+    const allowed = activeSpec.bg.map((name) => ({ name, hex: BG_COLORS[name] }));
+    const wanted = String(preferredHex || getBackgroundColorHex()).toUpperCase();
+    const checkedHex = allowed.some((c) => c.hex === wanted) ? wanted : allowed[0].hex;
+
+    bgColorOpts.innerHTML = "";
+    for (const c of allowed) {
+      const label = document.createElement("label");
+      label.className = "colorOpt";
+      const input = document.createElement("input");
+      input.type = "radio";
+      input.name = "bgColor";
+      input.value = c.hex;
+      input.checked = c.hex === checkedHex;
+      input.disabled = !!batchAbort; // locked while a batch runs (see updateBatchUi)
+      label.append(input, ` ${BG_COLOR_NAMES[c.name] || c.name}`);
+      bgColorOpts.appendChild(label);
+    }
+  }
+
+  function applySpecToOverlay() {
+    if (!overlayFrame) return;
+    const { w, h } = activeSpec.mm;
+    const t = specTargetsMm(activeSpec);
+    const pct = (v) => `${(v * 100).toFixed(2)}%`;
+    overlayFrame.style.setProperty("--photo-ar", `${w} / ${h}`);
+    overlayFrame.style.setProperty("--eye-top", pct(t.eyeFromTopMm / h));
+    overlayFrame.style.setProperty("--head-top", pct(t.crownFromTopMm / h));
+    overlayFrame.style.setProperty("--head-h", pct(t.headMm / h));
+    overlayFrame.style.setProperty("--head-w", pct(t.headWidthMm / w));
+  }
+
+  function setActiveSpec(id) {
+    const spec = PHOTO_SPECS[id] || PHOTO_SPECS[DEFAULT_SPEC_ID];
+    activeSpec = spec;
+    photoPx = pxSizeFromMm(spec.mm, PHOTO_DPI);
+    photoSheetPx = pxSizeFromMm(spec.mm, SHEET_DPI);
+
+    if (specSelect) specSelect.value = spec.id;
+    if (photoTitle) photoTitle.textContent = `Processed Photo (${spec.label})`;
+    renderBgColorOptions();
+    applySpecToOverlay();
+    updateQtyLimits();
+  }
+
+  function resetPhotoCanvas() {
+    photoVersion++;
+    setCompare(false);
+    photoCanvas.width = photoPx.w;
+    photoCanvas.height = photoPx.h;
+    const pctx = photoCanvas.getContext("2d");
+    pctx.fillStyle = "#ffffff";
+    pctx.fillRect(0, 0, photoPx.w, photoPx.h);
+  }
+
   function enable(el, on) {
     el.disabled = !on;
   }
@@ -232,11 +829,144 @@
     });
   }
 
-  async function removeBackgroundStudioRemoveBg(srcCanvas, bgColorHex) {
-    const key = (removebgKey?.value || "").trim();
-    if (!key) {
-      throw new Error("Missing remove.bg API key. Paste it in the field above.");
+  // --- remove.bg client ---
+  // Base URL can point at a local mock server for testing (server/removebg-mock.js), e.g.
+  // ?removebgApi=http://localhost:8788/429 for its rate-limit scenario (localhost only, so a
+  // crafted link can't send the saved key elsewhere).
+  function removeBgApiBase() {
+    if (getRemoveBgMode() === "proxy") return (removebgProxyUrl?.value || "").trim().replace(/\/$/, "");
+    try {
+      const override = new URLSearchParams(location.search).get("removebgApi");
+      if (override) {
+        const u = new URL(override);
+        if (u.hostname === "localhost" || u.hostname === "127.0.0.1") return u.href.replace(/\/$/, "");
+      }
+    } catch {
+      // ignore
+    }
+    return REMOVEBG.apiBase;
+  }
+
+  function removeBgMessage(code, vars = {}) {
+    const lang = String(navigator.language || "en")
+      .slice(0, 2)
+      .toLowerCase();
+    const table = REMOVEBG_MESSAGES[lang] || REMOVEBG_MESSAGES.en;
+    const text = table[code] || REMOVEBG_MESSAGES.en[code] || REMOVEBG_MESSAGES.en.unknown;
+    return text.replace(/\{(\w+)\}/g, (_, k) => String(vars[k] ?? "—"));
+  }
+
+  class RemoveBgError extends Error {
+    /**
+     * @param {string} code one of the REMOVEBG_MESSAGES keys
+     * @param {{ status?: number, detail?: string, retryAfterMs?: number }} [info]
+     */
+    constructor(code, { status = 0, detail = "", retryAfterMs = 0 } = {}) {
+      super(removeBgMessage(code));
+      this.name = "RemoveBgError";
+      this.code = code;
+      this.status = status;
+      this.detail = detail;
+      this.retryAfterMs = retryAfterMs;
+    }
+
+    get retryable() {
+      return this.code === "rate_limited" || this.code === "server";
+    }
+  }
+
+  async function removeBgErrorFromResponse(res) {
+    let apiCode = "";
+    let detail = "";
+    try {
+      const j = await res.json();
+      apiCode = j?.errors?.[0]?.code || "";
+      detail = j?.errors?.[0]?.title || "";
+    } catch {
+      // non-JSON body
+    }
+    const s = res.status;
+    const byStatus = { 401: "bad_key", 402: "out_of_credits", 403: "bad_key", 413: "too_large", 429: "rate_limited" };
+    let code = byStatus[s] || (s >= 500 ? "server" : "unknown");
+    if (s === 400) code = apiCode === "unknown_foreground" ? "no_foreground" : "bad_request";
+    const retryAfter = Number(res.headers.get("Retry-After"));
+    const retryAfterMs = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : 0;
+    return new RemoveBgError(code, { status: s, detail, retryAfterMs });
+  }
+
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(new RemoveBgError("cancelled"));
+      const t = setTimeout(resolve, ms);
+      signal?.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(t);
+          reject(new RemoveBgError("cancelled"));
+        },
+        { once: true },
+      );
+    });
+  }
+
+  /**
+   * fetch + read with a per-attempt timeout, caller cancellation and retry/backoff on 429/5xx.
+   * @template T
+   * @param {string} path
+   * @param {RequestInit} init
+   * @param {(res: Response) => Promise<T>} read
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<T>}
+   */
+  async function removeBgRequest(path, init, read, signal) {
+    let lastErr = null;
+    for (let attempt = 1; attempt <= REMOVEBG.maxAttempts; attempt++) {
+      if (signal?.aborted) throw new RemoveBgError("cancelled");
+
+      const ctrl = new AbortController();
+      const onAbort = () => ctrl.abort();
+      signal?.addEventListener("abort", onAbort, { once: true });
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        ctrl.abort();
+      }, REMOVEBG.timeoutMs);
+
+      try {
+        const res = await fetch(`${removeBgApiBase()}${path}`, { ...init, signal: ctrl.signal });
+        if (res.ok) return await read(res);
+        lastErr = await removeBgErrorFromResponse(res);
+      } catch (e) {
+        if (signal?.aborted) throw new RemoveBgError("cancelled");
+        if (timedOut) throw new RemoveBgError("timeout");
+        if (e instanceof RemoveBgError) throw e;
+        throw new RemoveBgError("network", { detail: String(e?.message || e || "") });
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+      }
+
+      if (!lastErr.retryable || attempt === REMOVEBG.maxAttempts) break;
+      const backoff = REMOVEBG.backoffMs * 2 ** (attempt - 1) + Math.random() * 250;
+      await sleep(Math.min(REMOVEBG.maxBackoffMs, Math.max(backoff, lastErr.retryAfterMs)), signal);
     }
+    throw lastErr;
+  }
+
+  function removeBgAuthHeaders() {
+    // Proxy mode sends no key at all; the proxy adds it server-side.
+    if (getRemoveBgMode() === "proxy") {
+      if (!removeBgApiBase()) throw new RemoveBgError("missing_proxy");
+      return {};
+    }
+    const key = (removebgKey?.value || "").trim();
+    if (!key) throw new RemoveBgError("missing_key");
+    return { "X-Api-Key": key };
+  }
+
+  // Returns a transparent cutout (same size as srcCanvas); the background is composited locally.
+  async function removeBackgroundStudioRemoveBg(srcCanvas, { signal } = {}) {
+    const authHeaders = removeBgAuthHeaders();
 
     // Convert to PNG blob
     const blob = await new Promise((resolve) => srcCanvas.toBlob(resolve, "image/png"));
@@ -245,56 +975,301 @@
     const fd = new FormData();
     fd.append("image_file", blob, "photo.png");
     fd.append("size", "auto");
-    fd.append("format", "png");
-    fd.append("bg_color", (bgColorHex || BG_COLORS.white).replace(/^#/, ""));
-
-    const res = await fetch("https://api.remove.bg/v1.0/removebg", {
-      method: "POST",
-      headers: { "X-Api-Key": key },
-      body: fd,
-    });
+    fd.append("format", "png"); // no bg_color → transparent PNG
 
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      throw new Error(`remove.bg error (${res.status}). ${txt}`.trim());
-    }
-
-    const outBlob = await res.blob();
+    const outBlob = await removeBgRequest(
+      "/removebg",
+      { method: "POST", headers: authHeaders, body: fd },
+      (res) => res.blob(),
+      signal,
+    );
     const bmp = await createImageBitmap(outBlob);
 
     const out = document.createElement("canvas");
     out.width = srcCanvas.width;
     out.height = srcCanvas.height;
     const ctx = out.getContext("2d", { willReadFrequently: true });
-    const hex = (bgColorHex || BG_COLORS.white).replace(/^#/, "");
-    ctx.fillStyle = "#" + hex;
-    ctx.fillRect(0, 0, out.width, out.height);
     ctx.drawImage(bmp, 0, 0, out.width, out.height);
     return out;
   }
-  async function applyBackgroundToCurrent() {
+
+  async function refreshRemoveBgCredits() {
+    if (!removebgCredits) return;
+    let authHeaders = null;
+    try {
+      if (getBgEngine() === "removebg") authHeaders = removeBgAuthHeaders();
+    } catch {
+      // no key / proxy URL yet
+    }
+    if (!authHeaders) {
+      removebgCredits.textContent = "";
+      return;
+    }
+    try {
+      // Proxies only answer /account with EXPOSE_ACCOUNT=1; otherwise this quietly shows nothing.
+      const j = await removeBgRequest(
+        "/account",
+        { method: "GET", headers: { ...authHeaders, Accept: "application/json" } },
+        (res) => res.json(),
+      );
+      const attrs = j?.data?.attributes || {};
+      removebgCredits.textContent = removeBgMessage("credits", {
+        credits: attrs.credits?.total,
+        free: attrs.api?.free_calls,
+      });
+    } catch (e) {
+      removebgCredits.textContent = e instanceof RemoveBgError && e.code === "bad_key" ? e.message : "";
+    }
+  }
+
+  // --- Offline background (MediaPipe Selfie Segmentation, WASM) ---
+  async function initSegmentationOnce() {
+    if (selfieSeg) return;
+    let base = null;
+    for (const b of SEG_ASSET_BASES) {
+      try {
+        await loadScriptOnce(`${b}selfie_segmentation.js`);
+        base = b;
+        break;
+      } catch {
+        // try next location
+      }
+    }
+    if (!base || !("SelfieSegmentation" in window)) {
+      throw new Error("Offline background model failed to load.");
+    }
+
+    const seg = new window.SelfieSegmentation({ locateFile: (file) => `${base}${file}` });
+    seg.setOptions({
+      modelSelection: 0, // general (256x256) model: better for head & shoulders
+      selfieMode: false,
+    });
+    seg.onResults((r) => {
+      lastSegResults = r;
+    });
+    await seg.initialize();
+    selfieSeg = seg;
+  }
+
+  function refineMaskAlpha(ctx, w, h) {
+    // Mask confidence is in alpha on most builds, red channel on some; pick whichever varies.
+    const img = ctx.getImageData(0, 0, w, h);
+    const d = img.data;
+    let alphaVaries = false;
+    for (let i = 3; i < d.length; i += 4) {
+      if (d[i] < 250) {
+        alphaVaries = true;
+        break;
+      }
+    }
+    const ch = alphaVaries ? 3 : 0;
+    const span = SEG_EDGE.hi - SEG_EDGE.lo;
+    for (let i = 0; i < d.length; i += 4) {
+      const t = clamp((d[i + ch] / 255 - SEG_EDGE.lo) / span, 0, 1);
+      d[i] = 255;
+      d[i + 1] = 255;
+      d[i + 2] = 255;
+      d[i + 3] = Math.round(t * t * (3 - 2 * t) * 255); // smoothstep
+    }
+    ctx.putImageData(img, 0, 0);
+  }
+
+  // Returns a transparent cutout (same size as srcCanvas).
+  async function removeBackgroundLocal(srcCanvas) {
+    await initSegmentationOnce();
+    lastSegResults = null;
+    await selfieSeg.send({ image: srcCanvas });
+    const mask = lastSegResults?.segmentationMask;
+    if (!mask) throw new Error("Offline background model returned no mask.");
+
+    const w = srcCanvas.width;
+    const h = srcCanvas.height;
+    maskCanvas.width = w;
+    maskCanvas.height = h;
+    const mctx = maskCanvas.getContext("2d", { willReadFrequently: true });
+    mctx.imageSmoothingEnabled = true;
+    mctx.imageSmoothingQuality = "high";
+    mctx.clearRect(0, 0, w, h);
+    mctx.drawImage(mask, 0, 0, w, h);
+    refineMaskAlpha(mctx, w, h);
+
+    // Person cutout = source masked by refined alpha
+    const cut = document.createElement("canvas");
+    cut.width = w;
+    cut.height = h;
+    const cctx = cut.getContext("2d");
+    cctx.drawImage(srcCanvas, 0, 0);
+    cctx.globalCompositeOperation = "destination-in";
+    cctx.drawImage(maskCanvas, 0, 0);
+    return cut;
+  }
+
+  // --- Cutout cache ---
+  async function hashCanvas(canvas) {
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const prefix = `${canvas.width}x${canvas.height}:`;
+    if (window.crypto?.subtle) {
+      const digest = await window.crypto.subtle.digest("SHA-256", data);
+      return prefix + Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+    }
+    // Non-secure contexts: FNV-1a (32-bit) is plenty for cache keys.
+    let h = 0x811c9dc5;
+    for (let i = 0; i < data.length; i++) {
+      h ^= data[i];
+      h = Math.imul(h, 0x01000193);
+    }
+    return prefix + (h >>> 0).toString(16);
+  }
+
+  async function getCutoutForRaw(engine, { signal, cachedOnly = false } = {}) {
+    // cachedOnly: resolve to null instead of computing (or paying for) a new cutout.
+    const key = `${engine}:${await hashCanvas(rawPhotoCanvas)}`;
+    const cached = cutoutCache.get(key);
+    if (cached) {
+      // refresh LRU position
+      cutoutCache.delete(key);
+      cutoutCache.set(key, cached);
+      return { cutout: cached, key, cached: true };
+    }
+    if (cachedOnly) return null;
+
+    const cutout =
+      engine === "local"
+        ? await removeBackgroundLocal(rawPhotoCanvas)
+        : await removeBackgroundStudioRemoveBg(rawPhotoCanvas, { signal });
+    cutoutCache.set(key, cutout);
+    while (cutoutCache.size > CUTOUT_CACHE_MAX) {
+      cutoutCache.delete(cutoutCache.keys().next().value);
+    }
+    return { cutout, key, cached: false };
+  }
+
+  // --- Pipeline stages ---
+  // source (workCanvas) → crop (rawPhotoCanvas) → cutout → tone → composite → sharpen → photoCanvas
+  // → sheet. Each stage after the cutout is cached under a key built from its inputs, so a color
+  // change re-composites only, and undo/redo back to an earlier state is a cache hit.
+  async function cachedStage(key, build) {
+    const hit = stageCache.get(key);
+    if (hit) {
+      stageCache.delete(key);
+      stageCache.set(key, hit);
+      return hit;
+    }
+    const out = await build();
+    stageCache.set(key, out);
+    while (stageCache.size > STAGE_CACHE_MAX) {
+      stageCache.delete(stageCache.keys().next().value);
+    }
+    return out;
+  }
+
+  function compositeOnto(ctx, cutout, bgHex) {
+    const { width: w, height: h } = ctx.canvas;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = "#" + bgHex;
+    ctx.fillRect(0, 0, w, h);
+    ctx.drawImage(cutout, 0, 0, w, h);
+  }
+
+  async function finishedPhoto(cutout, cutoutKey, bgHex, adj) {
+    // tone + composite + sharpen stages; resolves to { canvas, key } (do not draw into the canvas).
+    // Tone goes on the person only, so the background keeps exactly the chosen color.
+    const toneKey = `tone:${cutoutKey}|${adj.exposure},${adj.contrast},${adj.warmth}`;
+    const toned = await cachedStage(toneKey, async () => {
+      const c = copyCanvas(cutout);
+      await enhanceCanvas(c, { tone: adj });
+      return c;
+    });
+    const compositeKey = `composite:${toneKey}|${bgHex}`;
+    const composite = await cachedStage(compositeKey, () => {
+      const c = document.createElement("canvas");
+      c.width = photoPx.w;
+      c.height = photoPx.h;
+      compositeOnto(c.getContext("2d"), toned, bgHex);
+      return c;
+    });
+    const key = `sharpen:${compositeKey}|${adj.sharpen}`;
+    const canvas = await cachedStage(key, async () => {
+      const c = copyCanvas(composite);
+      await enhanceCanvas(c, { sharpen: adj.sharpen });
+      return c;
+    });
+    return { canvas, key };
+  }
+
+  async function applyBackgroundToCurrent({ spendCredit = true } = {}) {
+    // spendCredit false: a remove.bg cutout is only taken from the cache; otherwise the raw crop
+    // stays up and the user decides whether the new crop is worth a credit.
     if (!hasRawPhoto) {
       setValidation("No photo captured yet. Take Photo first.", "warn");
       return;
     }
+    closeCropEditor(true);
     const bgHex = getBackgroundColorHex();
+    const engine = getBgEngine();
     const pctx = photoCanvas.getContext("2d", { willReadFrequently: true });
+
+    bgAbort?.abort();
+    const ctrl = new AbortController();
+    bgAbort = ctrl;
+    if (btnCancelBg) btnCancelBg.classList.toggle("hidden", engine !== "removebg");
+
     setStatus("Processing…", "info");
     try {
-      setValidation("Applying Studio background (remove.bg)…", "info");
-      const out = await removeBackgroundStudioRemoveBg(rawPhotoCanvas, bgHex);
-      pctx.clearRect(0, 0, PHOTO_PX.w, PHOTO_PX.h);
-      pctx.fillStyle = "#" + bgHex;
-      pctx.fillRect(0, 0, PHOTO_PX.w, PHOTO_PX.h);
-      pctx.drawImage(out, 0, 0);
-
-      // Subtle final adjustments (safe)
-      applySubtleEnhancements(pctx, PHOTO_PX.w, PHOTO_PX.h);
-      afterProcessSuccess({ note: "Studio background applied." });
+      setValidation(
+        engine === "local"
+          ? "Applying offline background (on-device)… first use loads the model."
+          : "Applying Studio background (remove.bg)…",
+        "info",
+      );
+      // Same raw crop → reuse the cutout (no new remove.bg credit for a color change).
+      const cachedOnly = engine === "removebg" && !spendCredit;
+      const got = await getCutoutForRaw(engine, { signal: ctrl.signal, cachedOnly });
+      if (ctrl !== bgAbort) return; // superseded by a newer apply
+      if (!got) {
+        hasOutput = false;
+        photoVersion++;
+        photoCanvas.width = rawPhotoCanvas.width;
+        photoCanvas.height = rawPhotoCanvas.height;
+        pctx.drawImage(rawPhotoCanvas, 0, 0);
+        photoMeta.textContent = photoMetaText();
+        refreshSheet();
+        setValidation(
+          "No Studio cutout of this crop is cached. Press Apply Background for one (uses a remove.bg credit), " +
+            "or switch to the offline engine.",
+          "warn",
+        );
+        setStatus("Ready", "info");
+        return;
+      }
+      const { cutout, key, cached } = got;
+      if (enhanceSettings.auto) {
+        enhanceSettings = resolveEnhance(rawPhotoCanvas, cutout, lastCrop);
+        renderEnhanceUi();
+      }
+      const finished = await finishedPhoto(cutout, key, bgHex, enhanceSettings);
+      if (ctrl !== bgAbort) return;
+      pctx.clearRect(0, 0, photoPx.w, photoPx.h);
+      pctx.drawImage(finished.canvas, 0, 0);
+      const note = engine === "local" ? "Offline background applied." : "Studio background applied.";
+      afterProcessSuccess({ note: cached ? `${note} (cached cutout)` : note });
+      gallerySaveResult(cutout, { bgHex, engine, enhance: { ...enhanceSettings } });
+      if (engine === "removebg" && !cached) void refreshRemoveBgCredits();
     } catch (e) {
+      if (ctrl !== bgAbort) return;
+      if (e instanceof RemoveBgError && e.code === "cancelled") {
+        setValidation(e.message, "warn");
+        return;
+      }
       const msg = String(e?.message || e || "Unknown error");
       setValidation(`Background apply failed: ${msg}`, "bad");
       setStatus("Blocked", "bad");
+    } finally {
+      if (ctrl === bgAbort) {
+        bgAbort = null;
+        btnCancelBg?.classList.add("hidden");
+      }
     }
   }
 
@@ -314,90 +1289,232 @@
     });
   }
 
-  async function ensureFaceFallbackReady() {
-    // If MediaPipe face is working, do nothing.
-    if (!mpFaceBroken) return;
+  // --- Face detector adapters ---
+  // Every backend has the same shape: { label, available(), load(), detect(src) → FaceHit[] }.
+  // A FaceHit is the normalized box the crop and validation code works with, its landmarks `kp`
+  // (see faceKeypoints) and a confidence `score` (0..1, or null: MediaPipe's solutions API and
+  // the Shape Detection API report none); detectFaces adds the frame `aspect` and times the call.
+  /**
+   * @typedef {{
+   *   xCenter: number, yCenter: number, width: number, height: number, xmin: number, ymin: number,
+   *   kp: { eyes: {x: number, y: number}[], nose: object | null, mouth: object | null } | null,
+   *   score: number | null, aspect?: number,
+   * }} FaceHit
+   */
+  const FACE_FALLBACKS = ["shape", "blazeface"];
+
+  function srcSize(src) {
+    return { w: src.videoWidth || src.width, h: src.videoHeight || src.height };
+  }
 
-    // 1) Try native Shape Detection API (fast, no extra downloads).
-    if (typeof window.FaceDetector === "function") {
-      try {
-        faceDetectorApi = new window.FaceDetector({ fastMode: true, maxDetectedFaces: 1 });
-        faceMode = "shape";
-        setValidation("Using compatibility face detection (native).", "warn");
-        return;
-      } catch {
-        // continue to tfjs
-      }
-    }
-
-    // 2) TFJS + BlazeFace (lazy-loaded)
-    if (faceMode === "blazeface" && blazeModel) return;
-    setValidation("Loading compatibility face detection… (first time may take a few seconds)", "warn");
-    await loadScriptOnce("https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js");
-    await loadScriptOnce("https://cdn.jsdelivr.net/npm/@tensorflow-models/blazeface@0.1.0/dist/blazeface.min.umd.js");
-    if (!window.tf || !window.blazeface) throw new Error("Compatibility face detection failed to initialize.");
-    await window.tf.ready();
-    blazeModel = await window.blazeface.load();
-    faceMode = "blazeface";
-    setValidation("Using compatibility face detection (TFJS).", "warn");
-  }
-
-  function isMpAbortError(e) {
-    const msg = String(e?.message || e || "").toLowerCase();
-    return msg.includes("aborted") || msg.includes("abort()");
-  }
-
-  async function detectNormFaceBox(imageElOrCanvas) {
-    // Returns a normalized bbox-like object or null.
-    if (faceMode === "mediapipe" && faceDetection && !mpFaceBroken) {
-      await faceDetection.send({ image: imageElOrCanvas });
-      const dets = lastFaceResults?.detections || [];
-      if (!Array.isArray(dets) || dets.length === 0) return null;
-      if (dets.length > 1) return "multiple";
-      return normBboxFromDetection(dets[0]);
-    }
-
-    if (faceMode === "shape" && faceDetectorApi) {
-      const faces = await faceDetectorApi.detect(imageElOrCanvas);
-      if (!faces || faces.length === 0) return null;
-      if (faces.length > 1) return "multiple";
-      const bb = faces[0].boundingBox; // DOMRectReadOnly
-      const w = imageElOrCanvas.videoWidth || imageElOrCanvas.width;
-      const h = imageElOrCanvas.videoHeight || imageElOrCanvas.height;
-      if (!w || !h) return null;
-      const xCenter = (bb.x + bb.width / 2) / w;
-      const yCenter = (bb.y + bb.height / 2) / h;
-      return { xCenter, yCenter, width: bb.width / w, height: bb.height / h, xmin: bb.x / w, ymin: bb.y / h };
-    }
-
-    if (faceMode === "blazeface" && blazeModel) {
-      const preds = await blazeModel.estimateFaces(imageElOrCanvas, false);
-      if (!preds || preds.length === 0) return null;
-      if (preds.length > 1) return "multiple";
-      const p = preds[0];
-      const w = imageElOrCanvas.videoWidth || imageElOrCanvas.width;
-      const h = imageElOrCanvas.videoHeight || imageElOrCanvas.height;
-      if (!w || !h) return null;
-      // topLeft / bottomRight are [x,y]
-      const tl = p.topLeft || (p.box && [p.box.xMin, p.box.yMin]) || [0, 0];
-      const br = p.bottomRight || (p.box && [p.box.xMax, p.box.yMax]) || [0, 0];
-      const xMin = tl[0];
-      const yMin = tl[1];
-      const xMax = br[0];
-      const yMax = br[1];
-      const bw = Math.max(1, xMax - xMin);
-      const bh = Math.max(1, yMax - yMin);
-      const xCenter = (xMin + bw / 2) / w;
-      const yCenter = (yMin + bh / 2) / h;
-      return { xCenter, yCenter, width: bw / w, height: bh / h, xmin: xMin / w, ymin: yMin / h };
+  function faceHitFromPx(x, y, bw, bh, w, h, kp, score) {
+    return {
+      xCenter: (x + bw / 2) / w,
+      yCenter: (y + bh / 2) / h,
+      width: bw / w,
+      height: bh / h,
+      xmin: x / w,
+      ymin: y / h,
+      kp,
+      score,
+    };
+  }
+
+  const FACE_BACKENDS = {
+    mediapipe: {
+      label: "MediaPipe",
+      available: () => "FaceDetection" in window,
+      load: () => initModelsOnce(),
+      async detect(src) {
+        await faceDetection.send({ image: src });
+        const dets = lastFaceResults?.detections;
+        return (Array.isArray(dets) ? dets : [])
+          .map((det) => {
+            const box = normBboxFromDetection(det);
+            // No score: the solutions API types a detection as box + landmarks only.
+            return box && { ...box, score: null };
+          })
+          .filter(Boolean);
+      },
+    },
+    shape: {
+      label: "Native (Shape Detection API)",
+      available: () => typeof window.FaceDetector === "function",
+      async load() {
+        faceDetectorApi = faceDetectorApi || new window.FaceDetector({ fastMode: true, maxDetectedFaces: 10 });
+      },
+      async detect(src) {
+        const { w, h } = srcSize(src);
+        if (!w || !h) return [];
+        const faces = (await faceDetectorApi.detect(src)) || [];
+        return faces.map((face) => {
+          // landmarks: [{ type: "eye" | "mouth" | "nose", locations: [{x, y}] }] in pixels
+          const center = (type) =>
+            (face.landmarks || [])
+              .filter((l) => l.type === type && l.locations?.length)
+              .map((l) => {
+                const n = l.locations.length;
+                const x = l.locations.reduce((a, p) => a + p.x, 0) / n;
+                const y = l.locations.reduce((a, p) => a + p.y, 0) / n;
+                return { x: x / w, y: y / h };
+              });
+          const eyes = center("eye");
+          const kp = eyes.length === 2 ? faceKeypoints([...eyes, center("nose")[0], center("mouth")[0]]) : null;
+          const bb = face.boundingBox; // DOMRectReadOnly
+          return faceHitFromPx(bb.x, bb.y, bb.width, bb.height, w, h, kp, null);
+        });
+      },
+    },
+    blazeface: {
+      label: "BlazeFace (TensorFlow.js)",
+      // Lazy-loaded from the CDN, so only load() can tell.
+      available: () => true,
+      async load() {
+        if (blazeModel) return;
+        setValidation("Loading compatibility face detection… (first time may take a few seconds)", "warn");
+        await loadScriptOnce("https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js");
+        await loadScriptOnce("https://cdn.jsdelivr.net/npm/@tensorflow-models/blazeface@0.1.0/dist/blazeface.min.umd.js");
+        if (!window.tf || !window.blazeface) throw new Error("Compatibility face detection failed to initialize.");
+        await window.tf.ready();
+        blazeModel = await window.blazeface.load();
+      },
+      async detect(src) {
+        const { w, h } = srcSize(src);
+        if (!w || !h) return [];
+        const preds = (await blazeModel.estimateFaces(src, false)) || [];
+        return preds.map((p) => {
+          // topLeft / bottomRight are [x,y]
+          const tl = p.topLeft || (p.box && [p.box.xMin, p.box.yMin]) || [0, 0];
+          const br = p.bottomRight || (p.box && [p.box.xMax, p.box.yMax]) || [0, 0];
+          // landmarks: [[x,y] × 6] in pixels (eyes, nose, mouth, ears)
+          const kp = Array.isArray(p.landmarks)
+            ? faceKeypoints(p.landmarks.map(([x, y]) => ({ x: x / w, y: y / h })))
+            : null;
+          const score = Array.isArray(p.probability) ? p.probability[0] : p.probability;
+          const bw = Math.max(1, br[0] - tl[0]);
+          const bh = Math.max(1, br[1] - tl[1]);
+          return faceHitFromPx(tl[0], tl[1], bw, bh, w, h, kp, Number.isFinite(score) ? score : null);
+        });
+      },
+    },
+  };
+
+  async function detectFaces(src, backend = faceMode) {
+    // One detection on `src` with the given backend → { backend, faces: FaceHit[], ms }.
+    const adapter = FACE_BACKENDS[backend];
+    if (!adapter.available()) throw new Error(`${adapter.label} face detection is not available in this browser.`);
+    await adapter.load();
+    const t0 = performance.now();
+    const faces = await adapter.detect(src);
+    const ms = Math.round(performance.now() - t0);
+    const { w, h } = srcSize(src);
+    if (w && h) for (const f of faces) f.aspect = w / h;
+    faceStats[backend] = { ms, faces: faces.length };
+    if (backend === faceMode) renderFaceBackendStatus();
+    return { backend, faces, ms };
+  }
+
+  async function probeFaces(src, backend) {
+    // detectFaces for a health check: failures just mean "no answer".
+    try {
+      return await detectFaces(src, backend);
+    } catch {
+      return null;
     }
+  }
 
-    return null;
+  async function detectFacesAuto(src) {
+    // detectFaces on the active backend. In auto mode a failing MediaPipe (hard abort on some iOS
+    // builds, library not loaded) hands over to the first fallback that loads.
+    try {
+      return await detectFaces(src);
+    } catch (e) {
+      if (faceBackendPref !== "auto" || faceMode !== "mediapipe") throw e;
+      for (const id of FACE_FALLBACKS) {
+        const result = FACE_BACKENDS[id].available() ? await probeFaces(src, id) : null;
+        if (!result) continue;
+        leaveMediaPipe(id);
+        return result;
+      }
+      throw e;
+    }
+  }
+
+  function singleFace(faces) {
+    // The one face the capture flow works with: its FaceHit, "multiple", or null.
+    if (!faces.length) return null;
+    return faces.length > 1 ? "multiple" : faces[0];
+  }
+
+  async function detectNormFaceBox(src) {
+    return singleFace((await detectFacesAuto(src)).faces);
+  }
+
+  function setFaceMode(backend) {
+    faceMode = backend;
+    noFaceStreak = 0;
+    renderFaceBackendStatus();
+  }
+
+  function leaveMediaPipe(fallback) {
+    // Drop the (possibly wedged) MediaPipe instance; the next re-check builds a fresh one.
+    try {
+      faceDetection?.close?.();
+    } catch {
+      // ignore
+    }
+    faceDetection = null;
+    lastFaceResults = null;
+    mpProbeAt = Date.now();
+    setFaceMode(fallback);
   }
 
-  function drawDetectFrameFromVideo() {
-    const vw = video.videoWidth;
-    const vh = video.videoHeight;
+  async function checkFaceHealth(frame, result) {
+    // Auto mode, once per live tick; returns the detection to use for this frame.
+    if (faceBackendPref !== "auto") return result;
+    if (faceMode === "mediapipe") {
+      noFaceStreak = result.faces.length ? 0 : noFaceStreak + 1;
+      if (noFaceStreak < FACE_HEALTH.stuckTicks) return result;
+      noFaceStreak = 0;
+      // Empty frame, or MediaPipe missing a face the fallback sees? (helps iPhone Safari a lot)
+      for (const id of FACE_FALLBACKS) {
+        const alt = FACE_BACKENDS[id].available() ? await probeFaces(frame, id) : null;
+        if (!alt) continue;
+        if (alt.faces.length) {
+          leaveMediaPipe(id);
+          return alt;
+        }
+        break;
+      }
+      return result;
+    }
+    if (!result.faces.length || Date.now() - mpProbeAt < FACE_HEALTH.probeMs) return result;
+    mpProbeAt = Date.now();
+    const mp = await probeFaces(frame, "mediapipe");
+    if (mp?.faces.length !== result.faces.length) return result;
+    setFaceMode("mediapipe");
+    return mp;
+  }
+
+  function setFaceBackendPref(pref) {
+    faceBackendPref = pref in FACE_BACKENDS ? pref : "auto";
+    if (faceBackendSelect) faceBackendSelect.value = faceBackendPref;
+    // Auto starts over on MediaPipe (switching to it is also how to retry MediaPipe right away).
+    mpProbeAt = Date.now();
+    setFaceMode(faceBackendPref === "auto" ? "mediapipe" : faceBackendPref);
+  }
+
+  function renderFaceBackendStatus() {
+    if (!faceBackendStatus) return;
+    const stats = faceStats[faceMode];
+    const mode = faceBackendPref === "auto" ? (faceMode === "mediapipe" ? "auto" : "auto, fallback") : "forced";
+    const timing = stats ? ` • ${stats.ms} ms per frame` : "";
+    faceBackendStatus.textContent = `Detector: ${FACE_BACKENDS[faceMode].label} (${mode})${timing}`;
+  }
+
+  function drawDetectFrameFromVideo(src = video) {
+    const vw = src.videoWidth || src.width;
+    const vh = src.videoHeight || src.height;
     if (!vw || !vh) return null;
 
     const scale = Math.min(1, DETECT_MAX_W / vw);
@@ -407,26 +1524,10 @@
     if (detectCanvas.height !== h) detectCanvas.height = h;
 
     const ctx = detectCanvas.getContext("2d", { willReadFrequently: true });
-    ctx.drawImage(video, 0, 0, w, h);
+    ctx.drawImage(src, 0, 0, w, h);
     return detectCanvas;
   }
 
-  async function maybeSwitchToFallbackIfStuck(bb) {
-    // If MediaPipe is running but isn't seeing any face for a while,
-    // auto-switch to a compatibility detector (helps iPhone Safari a lot).
-    if (faceMode !== "mediapipe" || mpFaceBroken) return;
-
-    if (!bb) noFaceStreak += 1;
-    else noFaceStreak = 0;
-
-    // ~2 seconds (validateLive runs ~ every 240ms)
-    if (noFaceStreak >= 8) {
-      mpFaceBroken = true;
-      await ensureFaceFallbackReady();
-      noFaceStreak = 0;
-    }
-  }
-
   // --- Camera ---
   async function listCameras() {
     const devices = await navigator.mediaDevices.enumerateDevices();
@@ -467,11 +1568,16 @@
     enable(btnStop, false);
     enable(btnCapture, false);
     enable(btnRetake, false);
+    if (overlayFrame) overlayFrame.dataset.eyeLine = "";
+    lightingEma = null;
+    okStreak = 0;
+    autoCaptureAbort?.abort();
     setValidation("No camera running.", "info");
     cameraHint.textContent = "Start camera to begin.";
   }
 
   async function startCamera(deviceId) {
+    facePickCancel?.();
     stopCamera();
     await initModelsOnce();
 
@@ -518,6 +1624,8 @@
   function normBboxFromDetection(det) {
     const bb = det?.boundingBox || det?.locationData?.relativeBoundingBox;
     if (!bb) return null;
+    // Keypoints (normalized): right eye, left eye, nose tip, mouth, right ear, left ear
+    const kp = faceKeypoints(det?.landmarks || det?.locationData?.relativeKeypoints);
     // formats we might see:
     // - {xCenter, yCenter, width, height}
     // - {xmin, ymin, width, height}
@@ -529,6 +1637,7 @@
         height: bb.height,
         xmin: bb.xCenter - bb.width / 2,
         ymin: bb.yCenter - bb.height / 2,
+        kp,
       };
     }
     if (typeof bb.xmin === "number") {
@@ -539,12 +1648,42 @@
         height: bb.height,
         xmin: bb.xmin,
         ymin: bb.ymin,
+        kp,
       };
     }
     return null;
   }
 
-  function validateFromNormBox(bb) {
+  function faceKeypoints(points) {
+    // Normalized keypoints in detector order (eyes, nose, mouth, ...); eyes re-sorted
+    // image-left → image-right so the math doesn't depend on each detector's naming.
+    const pts = Array.isArray(points) ? points : [];
+    const ok = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+    if (!ok(pts[0]) || !ok(pts[1])) return null;
+    const eyes = [pts[0], pts[1]].sort((a, b) => a.x - b.x);
+    return { eyes, nose: ok(pts[2]) ? pts[2] : null, mouth: ok(pts[3]) ? pts[3] : null };
+  }
+
+  function headPoseFromKeypoints(kp, aspect = 1) {
+    const [l, r] = kp.eyes;
+    const dx = (r.x - l.x) * aspect;
+    const dy = r.y - l.y;
+    const eyeDist = Math.hypot(dx, dy);
+    const midX = (l.x + r.x) / 2;
+    return {
+      rollDeg: (Math.atan2(dy, dx) * 180) / Math.PI,
+      yaw: kp.nose && eyeDist > 0 ? ((kp.nose.x - midX) * aspect) / eyeDist : 0,
+    };
+  }
+
+  function eyeLineMmInCrop(bb, minCropFrac) {
+    // Where the eyes land (mm up from the bottom edge) in the crop we'd cut from this frame.
+    return computeCropRectFromFace(bb, bb.aspect || 1, 1, minCropFrac).measured.eyeMm;
+  }
+
+  function validateFromNormBox(bb, picked = false) {
+    // `picked`: a face chosen on a group photo. The crop is built around it wherever it sits, so
+    // the live framing (distance, centering) checks do not apply.
     if (bb === "multiple") {
       return { ok: false, kind: "bad", msg: "Multiple faces detected. Only one person must be in frame." };
     }
@@ -552,21 +1691,140 @@
       return { ok: false, kind: "bad", msg: "No face detected. Please face the camera." };
     }
 
-    const xOff = Math.abs(bb.xCenter - 0.5);
-    const yOff = Math.abs(bb.yCenter - 0.45); // slightly above center is typical for head framing
-    const faceH = bb.height;
+    if (!picked) {
+      // Centring from the spec's layout: the face box should sit where the guide draws the head
+      // (guide centred in the frame, GUIDE_FRAME_H tall), with the slack the guide leaves around
+      // the head: the side room for x, the crown + chin room for y.
+      const t = specTargetsMm(activeSpec);
+      const { mm } = activeSpec;
+      const boxCenter = (t.crownFromTopMm + t.headMm * (1 - FACE_BOX_TO_HEAD / 2)) / mm.h;
+      const xOff = Math.abs(bb.xCenter - 0.5);
+      const yOff = Math.abs(bb.yCenter - (0.5 + (boxCenter - 0.5) * GUIDE_FRAME_H));
+      const xSlack = (mm.w - t.headWidthMm) / (2 * mm.w);
+      const ySlack = ((mm.h - t.headMm) / mm.h) * GUIDE_FRAME_H;
+      const faceH = bb.height;
+
+      // Distance heuristics tuned for the 35x45 guidance box, scaled to the active spec's head size.
+      const k = specFaceFrac(activeSpec) / specFaceFrac(PHOTO_SPECS[DEFAULT_SPEC_ID]);
+      const TOO_FAR = 0.18 * k;
+      const TOO_CLOSE = 0.58 * k;
+
+      if (faceH < TOO_FAR) return { ok: false, kind: "warn", msg: "Face too far. Move closer to the camera." };
+      if (faceH > TOO_CLOSE) return { ok: false, kind: "warn", msg: "Face too close. Move back slightly." };
+      if (xOff > xSlack || yOff > ySlack) return { ok: false, kind: "warn", msg: "Center your face inside the guide." };
+    }
 
-    // Distance heuristics tuned for 35x45 guidance box
-    const TOO_FAR = 0.18;
-    const TOO_CLOSE = 0.58;
+    // Keypoint checks (skipped when the detector gives no landmarks).
+    // Directions are from the person's point of view (the preview is not mirrored).
+    if (bb.kp) {
+      const pose = headPoseFromKeypoints(bb.kp, bb.aspect || 1);
+      if (pose.rollDeg < -POSE_LIMITS.rollDeg) {
+        return { ok: false, kind: "warn", msg: "Tilt your head left. Keep both eyes level." };
+      }
+      if (pose.rollDeg > POSE_LIMITS.rollDeg) {
+        return { ok: false, kind: "warn", msg: "Tilt your head right. Keep both eyes level." };
+      }
+      if (pose.yaw < -POSE_LIMITS.yaw) {
+        return { ok: false, kind: "warn", msg: "Turn slightly left. Look straight at the camera." };
+      }
+      if (pose.yaw > POSE_LIMITS.yaw) {
+        return { ok: false, kind: "warn", msg: "Turn slightly right. Look straight at the camera." };
+      }
 
-    if (faceH < TOO_FAR) return { ok: false, kind: "warn", msg: "Face too far. Move closer to the camera." };
-    if (faceH > TOO_CLOSE) return { ok: false, kind: "warn", msg: "Face too close. Move back slightly." };
-    if (xOff > 0.14 || yOff > 0.20) return { ok: false, kind: "warn", msg: "Center your face inside the guide." };
+      const eyeMm = eyeLineMmInCrop(bb, picked ? FACE_PICK.minCropFrac : undefined);
+      if (eyeMm < activeSpec.eyeMm.min) {
+        return { ok: false, kind: "warn", eyeOk: false, msg: "Eyes are below the eye line. Move up slightly." };
+      }
+      if (eyeMm > activeSpec.eyeMm.max) {
+        return { ok: false, kind: "warn", eyeOk: false, msg: "Eyes are above the eye line. Move down slightly." };
+      }
+      return {
+        ok: true,
+        kind: "ok",
+        eyeOk: true,
+        msg: "Face detected, straight and correctly sized. You can take the photo.",
+      };
+    }
 
     return { ok: true, kind: "ok", msg: "Face detected and correctly sized. You can take the photo." };
   }
 
+  function measureLighting(frame, bb) {
+    // Inner face box (skips hair / ears) vs the whole frame, on the downscaled detection frame.
+    const ctx = frame.getContext("2d", { willReadFrequently: true });
+    const W = frame.width;
+    const H = frame.height;
+    const x0 = clamp(Math.round((bb.xmin + bb.width * 0.15) * W), 0, W - 4);
+    const y0 = clamp(Math.round((bb.ymin + bb.height * 0.15) * H), 0, H - 4);
+    const x1 = clamp(Math.round((bb.xmin + bb.width * 0.85) * W), x0 + 4, W);
+    const y1 = clamp(Math.round((bb.ymin + bb.height * 0.95) * H), y0 + 4, H);
+    const w = x1 - x0;
+    const h = y1 - y0;
+
+    const face = lumaPlane(ctx.getImageData(x0, y0, w, h).data, w * h);
+    const hist = new Uint32Array(256);
+    let left = 0;
+    let right = 0;
+    let clipped = 0;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const l = face[y * w + x];
+        hist[Math.min(255, l | 0)]++;
+        if (l >= 250) clipped++;
+        if (x < w / 2) left += l;
+        else right += l;
+      }
+    }
+    const n = w * h;
+    const half = Math.floor(w / 2) * h;
+    const frameHist = new Uint32Array(256);
+    const all = lumaPlane(ctx.getImageData(0, 0, W, H).data, W * H);
+    for (let i = 0; i < all.length; i++) frameHist[Math.min(255, all[i] | 0)]++;
+
+    return {
+      median: histMedian(hist, n),
+      p10: histPercentile(hist, n, 0.1),
+      p90: histPercentile(hist, n, 0.9),
+      clipped: clipped / n,
+      // image left = the person's right (the preview is not mirrored)
+      personRight: left / Math.max(1, half),
+      personLeft: right / Math.max(1, n - half),
+      surround: histMedian(frameHist, all.length),
+    };
+  }
+
+  function lightingFromFrame(frame, bb) {
+    const now = measureLighting(frame, bb);
+    // Smooth across frames so a passing shadow or auto-exposure step doesn't flicker the message.
+    if (!lightingEma) lightingEma = now;
+    else {
+      const a = LIGHTING.smoothing;
+      for (const k of Object.keys(now)) lightingEma[k] = lightingEma[k] * (1 - a) + now[k] * a;
+    }
+    return lightingEma;
+  }
+
+  function validateLighting(l) {
+    const warn = (msg) => ({ ok: false, kind: "warn", msg });
+    if (l.median < LIGHTING.dark) return warn("Too dark. Add light in front of you.");
+    if (l.median > LIGHTING.bright || l.clipped > LIGHTING.clipped) {
+      return warn("Too bright. Your face is overexposed; step back from the light.");
+    }
+    if (l.surround - l.median > LIGHTING.backlight) {
+      return warn("Strong light behind you. Face the window or light source instead.");
+    }
+    const brighter = Math.max(l.personLeft, l.personRight, 1);
+    if (Math.abs(l.personLeft - l.personRight) / brighter > LIGHTING.sideRatio) {
+      return l.personLeft > l.personRight
+        ? warn("Light is coming from your left. Face the light or brighten your right side.")
+        : warn("Light is coming from your right. Face the light or brighten your left side.");
+    }
+    if (l.p10 < LIGHTING.shadow.p10 && l.p90 / Math.max(1, l.p10) > LIGHTING.shadow.spread) {
+      return warn("Harsh shadows on your face. Use softer, even light.");
+    }
+    return null;
+  }
+
   async function validateLive() {
     if (!stream) return;
     if (isDetecting) return;
@@ -574,28 +1832,17 @@
     isDetecting = true;
     try {
       const frame = drawDetectFrameFromVideo() || video;
-      let bb;
-      try {
-        bb = await detectNormFaceBox(frame);
-        await maybeSwitchToFallbackIfStuck(bb);
-        if (mpFaceBroken && faceMode !== "mediapipe") {
-          // re-run immediately on new detector for faster unlock
-          bb = await detectNormFaceBox(frame);
-        }
-      } catch (e) {
-        // MediaPipe can hard-abort on some iOS builds; switch to fallback.
-        if (faceMode === "mediapipe" && isMpAbortError(e)) {
-          mpFaceBroken = true;
-          await ensureFaceFallbackReady();
-          bb = await detectNormFaceBox(frame);
-        } else {
-          throw e;
-        }
-      }
-
-      const v = validateFromNormBox(bb);
-      setValidation(v.msg, v.kind);
+      const bb = singleFace((await checkFaceHealth(frame, await detectFacesAuto(frame))).faces);
+
+      let v = validateFromNormBox(bb);
+      const light = frame === detectCanvas && bb && typeof bb === "object" ? lightingFromFrame(frame, bb) : null;
+      if (!light) lightingEma = null;
+      const lit = v.ok && light ? validateLighting(light) : null;
+      if (lit) v = { ...lit, eyeOk: v.eyeOk };
+      if (!autoCaptureAbort) setValidation(v.msg, v.kind);
       enable(btnCapture, v.ok);
+      if (overlayFrame) overlayFrame.dataset.eyeLine = v.eyeOk == null ? "" : v.eyeOk ? "ok" : "off";
+      trackAutoCapture(v);
     } catch (e) {
       enable(btnCapture, false);
       setValidation(`Face detection error. ${e?.message || ""}`.trim(), "bad");
@@ -609,19 +1856,24 @@
     return Math.max(a, Math.min(b, n));
   }
 
-  function maxQtyForA4() {
-    // Conservative physical fit calculation (in mm).
-    const usableW = A4_MM.w - 2 * SHEET_LAYOUT.marginMm;
-    const usableH = A4_MM.h - 2 * SHEET_LAYOUT.marginMm;
-    const cols = Math.max(
-      1,
-      Math.min(SHEET_LAYOUT.maxCols, Math.floor((usableW + SHEET_LAYOUT.gapMm) / (PHOTO_MM.w + SHEET_LAYOUT.gapMm))),
-    );
-    const rows = Math.max(1, Math.floor((usableH + SHEET_LAYOUT.gapMm) / (PHOTO_MM.h + SHEET_LAYOUT.gapMm)));
-    return cols * rows;
+  function maxQtyForSheet(spec = activeSpec) {
+    // Exact capacity of one page for this size (with rotation when allowed), at least 1.
+    return Math.max(1, planUniform(spec.mm.w, spec.mm.h + captionSpaceMm()).length);
+  }
+
+  function maxQtyForPrint(spec = activeSpec) {
+    return maxQtyForSheet(spec) * SHEET_MAX_PAGES;
   }
 
-  const MAX_QTY_A4 = maxQtyForA4(); // typically 30 (5x6) for 35x45 on A4
+  function updateQtyLimits() {
+    const max = maxQtyForPrint();
+    lastGoodQty = clamp(lastGoodQty, 1, max);
+    if (!qtyInput) return;
+    qtyInput.min = "1";
+    qtyInput.max = String(max);
+    const n = parseQtyLenient();
+    if (n != null && n > max) qtyInput.value = String(max);
+  }
 
   function parseQtyLenient() {
     const s = String(qtyInput?.value ?? "").trim();
@@ -632,7 +1884,7 @@
   }
 
   function clampQty(n) {
-    return clamp(n, 1, MAX_QTY_A4);
+    return clamp(n, 1, maxQtyForPrint());
   }
 
   function getQtyForRender() {
@@ -651,82 +1903,149 @@
     return q;
   }
 
-  function computeCropRectFromFace(normFaceBox, srcW, srcH) {
-    // Estimate crop height based on face box (bbox is roughly face region).
-    // For passport photos, face region should occupy ~55% of photo height (heuristic).
-    const desiredFaceFrac = 0.55;
-    let cropH = (normFaceBox.height * srcH) / desiredFaceFrac;
-    cropH = clamp(cropH, srcH * 0.45, srcH * 0.98);
-    let cropW = cropH * PHOTO_AR;
-    if (cropW > srcW) {
-      cropW = srcW;
-      cropH = cropW / PHOTO_AR;
-    }
+  function median(values) {
+    const v = [...values].sort((a, b) => a - b);
+    const m = Math.floor(v.length / 2);
+    return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2;
+  }
 
-    const cx = normFaceBox.xCenter * srcW;
-    const cy = normFaceBox.yCenter * srcH;
+  function computeCropRectFromFace(normFaceBox, srcW, srcH, minCropFrac = 0.45) {
+    // The crop lives in "leveled" source coordinates: the source rotated by -angle around
+    // `pivot` (eye midpoint) so the eyes are horizontal. Crown→chin is the median of the
+    // available estimates (face box, eye distance, eye→mouth), then the crop is scaled so
+    // the head height and eye line land in the middle of the active spec's ranges. The crop
+    // keeps at least `minCropFrac` of the source height (a misdetection can't zoom in on a speck).
+    const t = specTargetsMm(activeSpec);
+    const ar = photoAspect();
+    const kp = normFaceBox.kp;
+    const boxHeadPx = (normFaceBox.height * srcH) / FACE_BOX_TO_HEAD;
+    const headEstimates = [boxHeadPx];
+
+    let angle = 0;
+    let eyeAngle = null;
+    let pivot;
+    if (kp) {
+      const [l, r] = kp.eyes.map((p) => ({ x: p.x * srcW, y: p.y * srcH }));
+      eyeAngle = Math.atan2(r.y - l.y, r.x - l.x);
+      angle = clamp(eyeAngle, -MAX_ROLL_FIX, MAX_ROLL_FIX);
+      pivot = { x: (l.x + r.x) / 2, y: (l.y + r.y) / 2 };
+      headEstimates.push(Math.hypot(r.x - l.x, r.y - l.y) * HEAD_PER_EYE_DIST);
+      if (kp.mouth) {
+        // eye midpoint → mouth, measured along the leveled vertical
+        const mx = kp.mouth.x * srcW - pivot.x;
+        const my = kp.mouth.y * srcH - pivot.y;
+        const eyeToMouth = -mx * Math.sin(angle) + my * Math.cos(angle);
+        if (eyeToMouth > 0) headEstimates.push((eyeToMouth * CHIN_PER_MOUTH) / (1 - EYE_FROM_CROWN));
+      }
+    } else {
+      const chinY = (normFaceBox.ymin + normFaceBox.height) * srcH;
+      pivot = { x: normFaceBox.xCenter * srcW, y: chinY - boxHeadPx * (1 - EYE_FROM_CROWN) };
+    }
+    const headPx = median(headEstimates);
 
-    // Shift up slightly so chin isn't too low
-    const cyShifted = cy - cropH * 0.08;
+    let cropH = (headPx * activeSpec.mm.h) / t.headMm;
+    cropH = clamp(cropH, srcH * minCropFrac, srcH * 0.98);
+    let cropW = cropH * ar;
+    if (cropW > srcW) {
+      cropW = srcW;
+      cropH = cropW / ar;
+    }
 
-    let sx = cx - cropW / 2;
-    let sy = cyShifted - cropH / 2;
+    let sx = pivot.x - cropW / 2;
+    let sy = pivot.y - cropH * (t.eyeFromTopMm / activeSpec.mm.h);
 
     sx = clamp(sx, 0, srcW - cropW);
     sy = clamp(sy, 0, srcH - cropH);
 
-    return { sx, sy, sw: cropW, sh: cropH };
+    // The face in source pixels; the manual editor re-measures edited crops against it.
+    const face = { pivot, headPx, eyeAngle };
+    const crop = { sx, sy, sw: cropW, sh: cropH, angle, pivot };
+    return { ...crop, face, measured: measureCrop(crop, face) };
   }
 
-  // --- Image processing ---
-  function applySubtleEnhancements(ctx, w, h) {
-    const img = ctx.getImageData(0, 0, w, h);
-    const d = img.data;
-
-    // Passport-safe: preserve skin texture (no beautify / no heavy shadow lift).
-    const brightness = 2; // -255..255
-    const contrast = 1.04; // 1 = none
-    const gamma = 1.0;
-    const invGamma = 1 / gamma;
-
-    for (let i = 0; i < d.length; i += 4) {
-      let r = d[i];
-      let g = d[i + 1];
-      let b = d[i + 2];
-
-      // brightness + contrast
-      r = (r - 128) * contrast + 128 + brightness;
-      g = (g - 128) * contrast + 128 + brightness;
-      b = (b - 128) * contrast + 128 + brightness;
+  function measureCrop(crop, face) {
+    // What a crop achieves, in mm on the printed photo. Assumes crop.pivot is the face pivot
+    // (eye midpoint), which stays put in leveled coordinates whatever the angle.
+    const mmPerPx = activeSpec.mm.h / crop.sh;
+    return {
+      headMm: face.headPx * mmPerPx,
+      eyeMm: (crop.sy + crop.sh - face.pivot.y) * mmPerPx, // up from the bottom edge
+      crownMm: (face.pivot.y - face.headPx * EYE_FROM_CROWN - crop.sy) * mmPerPx, // down from the top edge
+      rollDeg: (crop.angle * 180) / Math.PI,
+    };
+  }
 
-      // No skin tone shifting (can look artificial)
+  function sourceEdgeColor(src) {
+    // Mean colour of the outer ring of an 8×8 thumbnail: usually the wall or backdrop.
+    const n = 8;
+    const c = document.createElement("canvas");
+    c.width = n;
+    c.height = n;
+    const ctx = c.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(src, 0, 0, n, n);
+    const d = ctx.getImageData(0, 0, n, n).data;
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        if (x > 0 && x < n - 1 && y > 0 && y < n - 1) continue;
+        const i = (y * n + x) * 4;
+        for (let k = 0; k < 3; k++) sum[k] += d[i + k];
+        count++;
+      }
+    }
+    return `rgb(${sum.map((v) => Math.round(v / count)).join(",")})`;
+  }
 
-      // gamma
-      r = 255 * Math.pow(clamp(r, 0, 255) / 255, invGamma);
-      g = 255 * Math.pow(clamp(g, 0, 255) / 255, invGamma);
-      b = 255 * Math.pow(clamp(b, 0, 255) / 255, invGamma);
+  function drawCropToCanvas(srcCanvas, crop, targetCanvas) {
+    const w = targetCanvas.width;
+    const h = targetCanvas.height;
+    const ctx = targetCanvas.getContext("2d", { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+    ctx.clearRect(0, 0, w, h);
+    if (!crop.angle) {
+      ctx.drawImage(srcCanvas, crop.sx, crop.sy, crop.sw, crop.sh, 0, 0, w, h);
+      return;
+    }
 
-      // No shadow lifting (can create blotchy/white patches on faces)
+    // A rotated draw can leave the corners empty: give them the frame's edge colour (not image
+    // content, which would show up as a shifted duplicate of the shoulders or ears).
+    ctx.fillStyle = sourceEdgeColor(srcCanvas);
+    ctx.fillRect(0, 0, w, h);
+    ctx.save();
+    ctx.scale(w / crop.sw, h / crop.sh);
+    ctx.translate(-crop.sx, -crop.sy);
+    // source → leveled: rotate by -angle around the pivot
+    ctx.translate(crop.pivot.x, crop.pivot.y);
+    ctx.rotate(-crop.angle);
+    ctx.translate(-crop.pivot.x, -crop.pivot.y);
+    ctx.drawImage(srcCanvas, 0, 0);
+    ctx.restore();
+  }
 
-      d[i] = clamp(r, 0, 255);
-      d[i + 1] = clamp(g, 0, 255);
-      d[i + 2] = clamp(b, 0, 255);
+  // --- Image processing ---
+  // The pixel kernels are self-contained (no closure references): the worker below is built from
+  // their source text. Writes into Uint8ClampedArray round and clamp to 0..255.
+  function enhancePixels(d, adj) {
+    // Tone in place, in ENHANCE units: white balance (red/blue gains), then exposure + contrast
+    // around mid-grey. Passport-safe: no skin smoothing, no shadow lift, no local changes.
+    const contrast = 1 + adj.contrast / 100;
+    const rGain = 1 + adj.warmth / 200;
+    const bGain = 1 - adj.warmth / 200;
+    for (let i = 0; i < d.length; i += 4) {
+      d[i] = (d[i] * rGain - 128) * contrast + 128 + adj.exposure;
+      d[i + 1] = (d[i + 1] - 128) * contrast + 128 + adj.exposure;
+      d[i + 2] = (d[i + 2] * bGain - 128) * contrast + 128 + adj.exposure;
       // alpha stays
     }
-
-    ctx.putImageData(img, 0, 0);
-    unsharpLow(ctx, w, h);
   }
 
-  function unsharpLow(ctx, w, h) {
-    // Very mild sharpening (keeps pores/texture intact)
-    const src = ctx.getImageData(0, 0, w, h);
-    const dst = ctx.createImageData(w, h);
-    const s = src.data;
-    const d = dst.data;
-    const k = [0, -0.6, 0, -0.6, 3.4, -0.6, 0, -0.6, 0];
-
-    const idx = (x, y) => (y * w + x) * 4;
+  function unsharpPixels(s, w, h, strength) {
+    // Mild 4-neighbour sharpening (keeps pores/texture intact); returns a new buffer, borders copied.
+    const a = strength / 100;
+    const d = new Uint8ClampedArray(s);
+    const k = [0, -a, 0, -a, 1 + 4 * a, -a, 0, -a, 0];
     for (let y = 1; y < h - 1; y++) {
       for (let x = 1; x < w - 1; x++) {
         let r = 0,
@@ -735,51 +2054,441 @@
         let ki = 0;
         for (let oy = -1; oy <= 1; oy++) {
           for (let ox = -1; ox <= 1; ox++) {
-            const ii = idx(x + ox, y + oy);
+            const ii = ((y + oy) * w + x + ox) * 4;
             const kv = k[ki++];
             r += s[ii] * kv;
             g += s[ii + 1] * kv;
             b += s[ii + 2] * kv;
           }
         }
-        const o = idx(x, y);
-        d[o] = clamp(r, 0, 255);
-        d[o + 1] = clamp(g, 0, 255);
-        d[o + 2] = clamp(b, 0, 255);
-        d[o + 3] = s[o + 3];
-      }
-    }
-    // copy borders
-    for (let x = 0; x < w; x++) {
-      let o1 = idx(x, 0);
-      let o2 = idx(x, h - 1);
-      d[o1] = s[o1];
-      d[o1 + 1] = s[o1 + 1];
-      d[o1 + 2] = s[o1 + 2];
-      d[o1 + 3] = s[o1 + 3];
-      d[o2] = s[o2];
-      d[o2 + 1] = s[o2 + 1];
-      d[o2 + 2] = s[o2 + 2];
-      d[o2 + 3] = s[o2 + 3];
+        const o = (y * w + x) * 4;
+        d[o] = r;
+        d[o + 1] = g;
+        d[o + 2] = b;
+      }
     }
-    for (let y = 0; y < h; y++) {
-      let o1 = idx(0, y);
-      let o2 = idx(w - 1, y);
-      d[o1] = s[o1];
-      d[o1 + 1] = s[o1 + 1];
-      d[o1 + 2] = s[o1 + 2];
-      d[o1 + 3] = s[o1 + 3];
-      d[o2] = s[o2];
-      d[o2 + 1] = s[o2 + 1];
-      d[o2 + 2] = s[o2 + 2];
-      d[o2 + 3] = s[o2 + 3];
+    return d;
+  }
+
+  function applyEnhancements(ctx, w, h, { tone, sharpen }) {
+    // Main-thread path (see enhanceCanvas for the worker one).
+    const img = ctx.getImageData(0, 0, w, h);
+    if (tone) enhancePixels(img.data, tone);
+    ctx.putImageData(sharpen ? new ImageData(unsharpPixels(img.data, w, h, sharpen), w, h) : img, 0, 0);
+  }
+
+  async function enhanceCanvas(canvas, { tone = null, sharpen = 0, signal } = {}) {
+    // Tone (enhancePixels) and/or sharpening, in place. Pixels go to the worker as a transferred buffer.
+    const { width: w, height: h } = canvas;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (workerSupported()) {
+      const img = ctx.getImageData(0, 0, w, h);
+      try {
+        const job = { type: "enhance", buffer: img.data.buffer, w, h, tone, sharpen };
+        const { buffer } = await runWorkerJob(job, [img.data.buffer], { signal });
+        ctx.putImageData(new ImageData(new Uint8ClampedArray(buffer), w, h), 0, 0);
+        return;
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        // Worker failed or restarted: fall through (the canvas itself was not touched).
+      }
+    }
+    applyEnhancements(ctx, w, h, { tone, sharpen });
+  }
+
+  // --- Photo adjustments ---
+  const ENHANCE_KEYS = ["exposure", "contrast", "warmth", "sharpen"];
+
+  function defaultEnhance() {
+    return {
+      auto: true,
+      exposure: ENHANCE.exposure.def,
+      contrast: ENHANCE.contrast.def,
+      warmth: ENHANCE.warmth.def,
+      sharpen: ENHANCE.sharpen.def,
+    };
+  }
+
+  function clampEnhance(adj) {
+    // Whole slider steps within ENHANCE limits; anything missing or invalid falls back to `def`.
+    const out = { auto: adj?.auto !== false };
+    for (const k of ENHANCE_KEYS) {
+      const v = Math.round(Number(adj?.[k]));
+      out[k] = Number.isFinite(v) ? clamp(v, ENHANCE[k].min, ENHANCE[k].max) : ENHANCE[k].def;
+    }
+    return out;
+  }
+
+  function autoEnhanceValues(raw, cutout, crop) {
+    // Exposure + contrast from the face, white balance from the original background (see ENHANCE).
+    const { w, h } = photoPx;
+    const pixelsOf = (src) => {
+      const c = document.createElement("canvas");
+      c.width = w;
+      c.height = h;
+      const ctx = c.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(src, 0, 0, w, h);
+      return ctx.getImageData(0, 0, w, h).data;
+    };
+    const px = pixelsOf(raw);
+    const alpha = pixelsOf(cutout);
+    const luma = (i) => 0.299 * px[i] + 0.587 * px[i + 1] + 0.114 * px[i + 2];
+    const out = { exposure: ENHANCE.exposure.def, contrast: ENHANCE.contrast.def, warmth: ENHANCE.warmth.def };
+
+    // No face box (e.g. a crop reopened from the gallery): the usual face area of a passport crop.
+    const face = crop?.face
+      ? faceRectInPhoto(crop)
+      : { x: Math.round(w * 0.3), y: Math.round(h * 0.3), w: Math.round(w * 0.4), h: Math.round(h * 0.35) };
+    const hist = new Uint32Array(256);
+    let n = 0;
+    for (let y = face.y; y < face.y + face.h; y++) {
+      for (let x = face.x; x < face.x + face.w; x++) {
+        const i = (y * w + x) * 4;
+        if (alpha[i + 3] < 128) continue;
+        hist[Math.min(255, luma(i) | 0)]++;
+        n++;
+      }
+    }
+    if (n > 100) {
+      const { faceLuma, faceSpread } = ENHANCE.auto;
+      const spread = Math.max(1, histPercentile(hist, n, 0.95) - histPercentile(hist, n, 0.05));
+      const contrast = clamp(faceSpread / spread, 1 + ENHANCE.contrast.min / 100, 1 + ENHANCE.contrast.max / 100);
+      out.contrast = (contrast - 1) * 100;
+      const mid = (histPercentile(hist, n, 0.5) - 128) * contrast + 128 + ENHANCE.exposure.def;
+      out.exposure = ENHANCE.exposure.def + clamp(0, faceLuma.min - mid, faceLuma.max - mid);
+    }
+
+    let r = 0;
+    let b = 0;
+    let m = 0;
+    for (let i = 0; i < px.length; i += 4) {
+      if (alpha[i + 3] > 16 || luma(i) < ENHANCE.auto.bgMinLuma) continue;
+      r += px[i];
+      b += px[i + 2];
+      m++;
+    }
+    if (m >= w * h * ENHANCE.auto.bgMinShare && r > 0) {
+      // Gains so red and blue match: (1 + t/200) · R = (1 − t/200) · B.
+      const q = b / r;
+      out.warmth = (200 * (q - 1)) / (q + 1);
+    }
+    return out;
+  }
+
+  function resolveEnhance(raw, cutout, crop, adj = enhanceSettings) {
+    // The values to render with: auto ones re-derived from this photo when `auto` is on.
+    return adj.auto ? clampEnhance({ ...adj, ...autoEnhanceValues(raw, cutout, crop) }) : clampEnhance(adj);
+  }
+
+  function fmtEnhance(key, v) {
+    const signed = v > 0 ? `+${v}` : v < 0 ? `−${-v}` : "0";
+    if (key === "sharpen") return `${v}%`;
+    if (key === "warmth") return v ? `${signed} (${v > 0 ? "warmer" : "cooler"})` : "neutral";
+    return key === "contrast" ? `${signed}%` : signed;
+  }
+
+  function renderEnhanceUi() {
+    if (!enhanceBar) return;
+    if (enhanceAutoToggle) enhanceAutoToggle.checked = enhanceSettings.auto;
+    for (const key of ENHANCE_KEYS) {
+      const input = /** @type {HTMLInputElement | null} */ (enhanceBar.querySelector(`input[data-enhance="${key}"]`));
+      if (input) input.value = String(enhanceSettings[key]);
+      const out = enhanceBar.querySelector(`[data-enhance-value="${key}"]`);
+      if (out) out.textContent = fmtEnhance(key, enhanceSettings[key]);
+    }
+  }
+
+  function setEnhance(next) {
+    // Commit new adjustments; a finished photo is re-rendered from its cached cutout (no new
+    // background removal), anything else picks them up on its next Apply Background.
+    enhanceSettings = clampEnhance(next);
+    renderEnhanceUi();
+    if (!hasOutput || !hasRawPhoto) return;
+    recordEdit(false);
+    void applyBackgroundToCurrent();
+  }
+
+  function onEnhanceInput(e) {
+    // Live value label while dragging; the photo updates on "change".
+    const input = /** @type {HTMLInputElement} */ (e.target);
+    const key = input.dataset?.enhance;
+    if (!key) return;
+    const out = enhanceBar.querySelector(`[data-enhance-value="${key}"]`);
+    if (out) out.textContent = fmtEnhance(key, Number(input.value));
+  }
+
+  function onEnhanceChange(e) {
+    const input = /** @type {HTMLInputElement} */ (e.target);
+    if (input === enhanceAutoToggle) {
+      // Turning Auto off keeps its last values as the manual starting point.
+      if (input.checked) setEnhance({ ...enhanceSettings, auto: true });
+      else enhanceSettings = { ...enhanceSettings, auto: false };
+      return;
+    }
+    const key = input.dataset?.enhance;
+    if (!key) return;
+    // Moving a tone slider takes over from Auto; sharpening is never automatic.
+    setEnhance({ ...enhanceSettings, [key]: Number(input.value), auto: enhanceSettings.auto && key === "sharpen" });
+  }
+
+  // --- Pixel worker ---
+  // Enhancement, sheet rendering and JPEG encoding run in one lazily started worker so large
+  // exports don't freeze the page. Jobs are { id, type, ... }; replies carry the same id and are
+  // either { progress } or the final { ok, ... }. Without Worker/OffscreenCanvas (or after the
+  // worker crashed) every job runs on the main thread instead.
+  function pixelWorkerMain() {
+    self.onmessage = async (ev) => {
+      const job = ev.data;
+      const reply = (msg, transfer = []) => self.postMessage({ id: job.id, ...msg }, transfer);
+      try {
+        if (job.type === "enhance") {
+          const d = new Uint8ClampedArray(job.buffer);
+          if (job.tone) enhancePixels(d, job.tone);
+          const out = job.sharpen ? unsharpPixels(d, job.w, job.h, job.sharpen) : d;
+          reply({ ok: true, buffer: out.buffer }, [out.buffer]);
+        } else if (job.type === "sheet") {
+          const canvas = new OffscreenCanvas(job.w, job.h);
+          drawSheetScene(canvas.getContext("2d"), job.scene, job.images, job.w, job.h, (progress) => reply({ progress }));
+          for (const img of job.images) img.close();
+          reply({ ok: true, blob: await canvas.convertToBlob({ type: job.mime, quality: job.quality }) });
+        } else if (job.type === "encode") {
+          const canvas = new OffscreenCanvas(job.image.width, job.image.height);
+          canvas.getContext("2d").drawImage(job.image, 0, 0);
+          job.image.close();
+          reply({ ok: true, blob: await canvas.convertToBlob({ type: job.mime, quality: job.quality }) });
+        } else {
+          throw new Error(`Unknown job type: ${job.type}`);
+        }
+      } catch (e) {
+        reply({ ok: false, error: String(e?.message || e) });
+      }
+    };
+  }
+
+  function workerSupported() {
+    return (
+      !workerBroken &&
+      typeof Worker === "function" &&
+      typeof OffscreenCanvas === "function" &&
+      typeof createImageBitmap === "function" &&
+      "convertToBlob" in OffscreenCanvas.prototype
+    );
+  }
+
+  function getPixelWorker() {
+    if (pixelWorker) return pixelWorker;
+    const source = [enhancePixels, unsharpPixels, drawSheetScene, pixelWorkerMain].map(String).join("\n\n");
+    const url = URL.createObjectURL(new Blob([`${source}\n\npixelWorkerMain();\n`], { type: "text/javascript" }));
+    try {
+      pixelWorker = new Worker(url);
+    } catch (e) {
+      workerBroken = true;
+      throw e;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+    pixelWorker.onmessage = (ev) => {
+      const msg = ev.data;
+      const job = workerJobs.get(msg.id);
+      if (!job) return;
+      if (msg.progress != null) {
+        job.onProgress?.(msg.progress);
+        return;
+      }
+      workerJobs.delete(msg.id);
+      if (msg.ok) job.resolve(msg);
+      else job.reject(new Error(msg.error || "Worker job failed"));
+    };
+    pixelWorker.onerror = (ev) => {
+      // Script or OffscreenCanvas trouble (e.g. blocked by CSP): stay on the main thread from now on.
+      ev.preventDefault();
+      workerBroken = true;
+      stopPixelWorker(new Error(ev.message || "Worker failed"));
+    };
+    return pixelWorker;
+  }
+
+  function stopPixelWorker(reason) {
+    // Terminating is the only way to stop a job mid-loop; other pending jobs fail with `reason`
+    // and their callers fall back to the main thread.
+    pixelWorker?.terminate();
+    pixelWorker = null;
+    const pending = [...workerJobs.values()];
+    workerJobs.clear();
+    for (const job of pending) job.reject(reason);
+  }
+
+  function workerCancelled() {
+    return new DOMException("Cancelled.", "AbortError");
+  }
+
+  function runWorkerJob(msg, transfer, { signal, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(workerCancelled());
+      const id = ++workerJobSeq;
+      const onAbort = () => {
+        const job = workerJobs.get(id);
+        if (!job) return;
+        workerJobs.delete(id);
+        job.reject(workerCancelled());
+        stopPixelWorker(new Error("Worker restarted"));
+      };
+      const done = (fn) => (value) => {
+        signal?.removeEventListener("abort", onAbort);
+        fn(value);
+      };
+      workerJobs.set(id, { resolve: done(resolve), reject: done(reject), onProgress });
+      signal?.addEventListener("abort", onAbort, { once: true });
+      try {
+        getPixelWorker().postMessage({ ...msg, id }, transfer);
+      } catch (e) {
+        workerJobs.delete(id);
+        done(reject)(e);
+      }
+    });
+  }
+
+  async function encodeCanvas(canvas, type, quality, { signal } = {}) {
+    if (workerSupported()) {
+      try {
+        const image = await createImageBitmap(canvas);
+        return (await runWorkerJob({ type: "encode", image, mime: type, quality }, [image], { signal })).blob;
+      } catch (e) {
+        if (signal?.aborted) throw e;
+      }
+    }
+    if (signal?.aborted) throw workerCancelled();
+    return canvasToBlob(canvas, type, quality);
+  }
+
+  // --- Image quality ---
+  function faceRectInPhoto(crop) {
+    // Inner face (brows → chin, cheek to cheek) in photo px; avoids hair and background.
+    const k = photoPx.w / crop.sw;
+    const { pivot, headPx } = crop.face;
+    const headH = headPx * k;
+    const headW = headH * HEAD_W_TO_H;
+    const cx = (pivot.x - crop.sx) * k;
+    const crownY = (pivot.y - crop.sy) * k - headH * EYE_FROM_CROWN;
+    const x0 = clamp(Math.round(cx - headW * 0.35), 0, photoPx.w - 8);
+    const y0 = clamp(Math.round(crownY + headH * 0.3), 0, photoPx.h - 8);
+    const x1 = clamp(Math.round(cx + headW * 0.35), x0 + 8, photoPx.w);
+    const y1 = clamp(Math.round(crownY + headH * 0.88), y0 + 8, photoPx.h);
+    return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+  }
+
+  function histMedian(hist, total) {
+    return histPercentile(hist, total, 0.5);
+  }
+
+  function histPercentile(hist, total, p) {
+    let seen = 0;
+    for (let v = 0; v < hist.length; v++) {
+      seen += hist[v];
+      if (seen >= total * p) return v;
+    }
+    return hist.length - 1;
+  }
+
+  function lumaPlane(data, n) {
+    const lum = new Float32Array(n);
+    for (let p = 0, i = 0; p < n; p++, i += 4) {
+      lum[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+    return lum;
+  }
+
+  function measurePhotoQuality(canvas, rect) {
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    const { data, width: w, height: h } = ctx.getImageData(rect.x, rect.y, rect.w, rect.h);
+    const n = w * h;
+    const lum = lumaPlane(data, n);
+    const lumHist = new Uint32Array(256);
+    const cbHist = new Uint32Array(256);
+    const crHist = new Uint32Array(256);
+    let clipped = 0;
+    for (let p = 0, i = 0; p < n; p++, i += 4) {
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      lumHist[Math.min(255, lum[p] | 0)]++;
+      cbHist[clamp(Math.round(128 - 0.168736 * r - 0.331264 * g + 0.5 * b), 0, 255)]++;
+      crHist[clamp(Math.round(128 + 0.5 * r - 0.418688 * g - 0.081312 * b), 0, 255)]++;
+      if (r >= 250 || g >= 250 || b >= 250) clipped++;
+    }
+
+    // Immerkær: sigma ≈ sqrt(π/2) / (6(W-2)(H-2)) · Σ|I ∗ N|
+    let acc = 0;
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const i = y * w + x;
+        acc += Math.abs(
+          lum[i - w - 1] - 2 * lum[i - w] + lum[i - w + 1] -
+            2 * lum[i - 1] + 4 * lum[i] - 2 * lum[i + 1] +
+            lum[i + w - 1] - 2 * lum[i + w] + lum[i + w + 1],
+        );
+      }
+    }
+    const noise = (acc * Math.sqrt(Math.PI / 2)) / (6 * (w - 2) * (h - 2));
+
+    return {
+      sharpness: faceSharpness(canvas, rect),
+      luma: histMedian(lumHist, n),
+      clipped: clipped / n,
+      cb: histMedian(cbHist, n),
+      cr: histMedian(crHist, n),
+      noise,
+    };
+  }
+
+  function faceSharpness(canvas, rect) {
+    // Laplacian variance at a fixed face width, so it doesn't depend on the camera resolution.
+    const sw = QUALITY.sampleW;
+    const sh = Math.max(3, Math.round((rect.h * sw) / rect.w));
+    const sample = document.createElement("canvas");
+    sample.width = sw;
+    sample.height = sh;
+    const sctx = sample.getContext("2d", { willReadFrequently: true });
+    sctx.drawImage(canvas, rect.x, rect.y, rect.w, rect.h, 0, 0, sw, sh);
+    const small = lumaPlane(sctx.getImageData(0, 0, sw, sh).data, sw * sh);
+    let sum = 0;
+    let sumSq = 0;
+    for (let y = 1; y < sh - 1; y++) {
+      for (let x = 1; x < sw - 1; x++) {
+        const i = y * sw + x;
+        const lap = small[i - sw] + small[i + sw] + small[i - 1] + small[i + 1] - 4 * small[i];
+        sum += lap;
+        sumSq += lap * lap;
+      }
     }
-    ctx.putImageData(dst, 0, 0);
+    const m = (sw - 2) * (sh - 2);
+    return sumSq / m - (sum / m) ** 2;
+  }
+
+  function photoQualityIssues(q) {
+    const bad = [];
+    const warn = [];
+    const grade = (value, limits, badMsg, warnMsg, above = false) => {
+      const past = (t) => (above ? value > t : value < t);
+      if (past(limits.bad)) bad.push(badMsg);
+      else if (past(limits.warn)) warn.push(warnMsg);
+    };
+    grade(q.sharpness, QUALITY.blur, "Photo is blurry: hold still and let the camera focus.", "Photo looks slightly soft.");
+    grade(q.luma, QUALITY.dark, "Face is too dark: add light in front of you.", "Face is a bit dark.");
+    grade(q.luma, QUALITY.bright, "Face is overexposed: reduce light or move away from the window.", "Face is very bright.", true);
+    grade(q.clipped, QUALITY.clipped, "Blown-out highlights on the face (flash or shine).", "Some highlights on the face are clipped.", true);
+    grade(q.noise, QUALITY.noise, "Photo is very grainy: use more light.", "Photo is a little grainy (low light).", true);
+    if (q.cb < QUALITY.cb.min) warn.push("Yellow/orange colour cast: avoid warm indoor light.");
+    else if (q.cb > QUALITY.cb.max) warn.push("Blue colour cast: avoid cold or screen light.");
+    if (q.cr < QUALITY.cr.min) warn.push("Green colour cast.");
+    else if (q.cr > QUALITY.cr.max) warn.push("Magenta/red colour cast.");
+    return { bad, warn };
   }
 
   // --- Capture -> Process ---
   async function captureAndProcess() {
     if (!stream) return;
+    autoCaptureAbort?.abort();
     if (!lastValidation.ok) {
       setValidation("Capture blocked. Fix the validation message first.", "bad");
       return;
@@ -801,229 +2510,2864 @@
       return;
     }
 
-    workCanvas.width = srcW;
-    workCanvas.height = srcH;
-    const wctx = workCanvas.getContext("2d", { willReadFrequently: true });
-    wctx.drawImage(video, 0, 0, srcW, srcH);
-    await processSourceCanvas(workCanvas);
+    workCanvas.width = srcW;
+    workCanvas.height = srcH;
+    const wctx = workCanvas.getContext("2d", { willReadFrequently: true });
+    wctx.drawImage(video, 0, 0, srcW, srcH);
+    await processSourceCanvas(workCanvas);
+  }
+
+  // --- Auto-capture ---
+  function autoCaptureWait(ms, signal) {
+    // Countdown / burst pause; aborting rejects with an AbortError.
+    return new Promise((resolve, reject) => {
+      const cancelled = () => new DOMException("Auto-capture cancelled.", "AbortError");
+      if (signal.aborted) return reject(cancelled());
+      const t = setTimeout(resolve, ms);
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(t);
+          reject(cancelled());
+        },
+        { once: true },
+      );
+    });
+  }
+
+  function trackAutoCapture(v) {
+    if (autoCaptureAbort) {
+      // Moving out of position during the countdown cancels it.
+      if (!v.ok) autoCaptureAbort.abort();
+      return;
+    }
+    okStreak = v.ok ? okStreak + 1 : 0;
+    if (autoCaptureToggle?.checked && okStreak >= AUTO_CAPTURE.stableTicks) void runAutoCapture();
+  }
+
+  function showCountdown(text) {
+    if (!countdownEl) return;
+    countdownEl.textContent = String(text);
+    countdownEl.classList.toggle("hidden", !text);
+  }
+
+  function ensureCueAudio() {
+    // Autoplay policies: the AudioContext must be created/resumed from a user gesture.
+    if (!autoCaptureToggle?.checked) return;
+    try {
+      cueAudio = cueAudio || new (window.AudioContext || window.webkitAudioContext)();
+      if (cueAudio.state === "suspended") void cueAudio.resume();
+    } catch {
+      cueAudio = null;
+    }
+  }
+
+  function playCue(freq, ms) {
+    // Short beep (silent until ensureCueAudio ran from a click).
+    if (!cueAudio) return;
+    try {
+      const osc = cueAudio.createOscillator();
+      const gain = cueAudio.createGain();
+      gain.gain.value = 0.08;
+      osc.frequency.value = freq;
+      osc.connect(gain).connect(cueAudio.destination);
+      osc.start();
+      osc.stop(cueAudio.currentTime + ms / 1000);
+    } catch {
+      // ignore
+    }
+  }
+
+  function flashCue() {
+    if (!cameraBox) return;
+    cameraBox.classList.remove("cameraBox--flash");
+    void cameraBox.offsetWidth; // restart the animation
+    cameraBox.classList.add("cameraBox--flash");
+  }
+
+  async function captureBurst(signal) {
+    // Full-res frames; keep the sharpest one that still passes face and lighting validation
+    // (lighting per frame, without the live loop's smoothing).
+    let best = null;
+    let bestScore = -1;
+    for (let i = 0; i < AUTO_CAPTURE.burst; i++) {
+      if (i) await autoCaptureWait(AUTO_CAPTURE.burstGapMs, signal);
+      const w = video.videoWidth;
+      const h = video.videoHeight;
+      if (!w || !h) continue;
+      const frame = document.createElement("canvas");
+      frame.width = w;
+      frame.height = h;
+      frame.getContext("2d", { willReadFrequently: true }).drawImage(video, 0, 0, w, h);
+
+      const detectFrame = drawDetectFrameFromVideo(frame);
+      const bb = await detectNormFaceBox(detectFrame);
+      if (!validateFromNormBox(bb).ok || validateLighting(measureLighting(detectFrame, bb))) continue;
+      const rect = {
+        x: clamp(Math.round((bb.xmin + bb.width * 0.15) * w), 0, w - 8),
+        y: clamp(Math.round((bb.ymin + bb.height * 0.15) * h), 0, h - 8),
+        w: Math.max(8, Math.round(bb.width * 0.7 * w)),
+        h: Math.max(8, Math.round(bb.height * 0.8 * h)),
+      };
+      rect.w = Math.min(rect.w, w - rect.x);
+      rect.h = Math.min(rect.h, h - rect.y);
+      const score = faceSharpness(frame, rect);
+      if (score > bestScore) {
+        best = frame;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  async function runAutoCapture() {
+    const ctrl = new AbortController();
+    autoCaptureAbort = ctrl;
+    try {
+      for (let n = AUTO_CAPTURE.countdownSec; n > 0; n--) {
+        showCountdown(n);
+        setValidation(`Hold still… taking the photo in ${n}.`, "ok");
+        playCue(660, 90);
+        await autoCaptureWait(1000, ctrl.signal);
+      }
+      showCountdown("");
+      if (detectionTimer) {
+        clearInterval(detectionTimer);
+        detectionTimer = null;
+      }
+      enable(btnCapture, false);
+      setValidation("Capturing…", "info");
+      // A live tick may still be running: the burst shares its detector and detectCanvas.
+      while (isDetecting) await autoCaptureWait(20, ctrl.signal);
+      isDetecting = true;
+      let best;
+      try {
+        best = await captureBurst(ctrl.signal);
+      } finally {
+        isDetecting = false;
+      }
+      if (!best) {
+        setValidation("Auto-capture: no usable frame in the burst. Hold still and try again.", "warn");
+        if (stream && !detectionTimer) detectionTimer = setInterval(() => void validateLive(), 240);
+        return;
+      }
+      playCue(1320, 140);
+      flashCue();
+
+      workCanvas.width = best.width;
+      workCanvas.height = best.height;
+      workCanvas.getContext("2d", { willReadFrequently: true }).drawImage(best, 0, 0);
+      autoCaptureAbort = null;
+      setStatus("Processing…", "info");
+      setValidation("Processing photo… (background + enhancement)", "info");
+      await processSourceCanvas(workCanvas);
+    } catch (e) {
+      if (ctrl.signal.aborted) {
+        // Moved out of position (live validation still running), Take Photo, or Stop.
+        if (stream && detectionTimer) {
+          setValidation("Auto-capture cancelled. Hold your position to restart the countdown.", "warn");
+        }
+      } else {
+        setValidation(`Auto-capture failed: ${e?.message || e || "Unknown error"}`, "bad");
+        if (stream && !detectionTimer) detectionTimer = setInterval(() => void validateLive(), 240);
+      }
+    } finally {
+      if (autoCaptureAbort === ctrl) autoCaptureAbort = null;
+      showCountdown("");
+      okStreak = 0;
+    }
+  }
+
+  function cutFromSource(srcCanvas, bb, minCropFrac) {
+    // Face-centered crop (eyes leveled) at photoPx plus its quality verdict; no UI side effects.
+    const crop = computeCropRectFromFace(bb, srcCanvas.width, srcCanvas.height, minCropFrac);
+    const canvas = document.createElement("canvas");
+    canvas.width = photoPx.w;
+    canvas.height = photoPx.h;
+    drawCropToCanvas(srcCanvas, crop, canvas);
+    const quality = photoQualityIssues(measurePhotoQuality(canvas, faceRectInPhoto(crop)));
+    return { crop, canvas, quality };
+  }
+
+  async function loadFileIntoCanvas(file, canvas) {
+    let bmp;
+    try {
+      bmp = await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch {
+      bmp = await createImageBitmap(file);
+    }
+
+    // Scale to a safe working size (keep quality, avoid memory spikes)
+    const maxSide = 2200;
+    const scale = Math.min(1, maxSide / Math.max(bmp.width, bmp.height));
+    const w = Math.max(1, Math.round(bmp.width * scale));
+    const h = Math.max(1, Math.round(bmp.height * scale));
+
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+    ctx.clearRect(0, 0, w, h);
+    ctx.drawImage(bmp, 0, 0, w, h);
+    bmp.close?.();
+  }
+
+  // --- Face picker (group uploads) ---
+  function pickFace(src, faces) {
+    // Shows `src` over the camera box with a button per face, numbered left to right. Resolves to
+    // the chosen FaceHit, or null when closed (Cancel, a new upload, Retake, the camera starting).
+    facePickCancel?.();
+    const { w, h } = srcSize(src);
+    const scale = Math.min(1, FACE_PICK.previewPx / Math.max(w, h));
+    facePickCanvas.width = Math.max(1, Math.round(w * scale));
+    facePickCanvas.height = Math.max(1, Math.round(h * scale));
+    facePickCanvas.getContext("2d").drawImage(src, 0, 0, facePickCanvas.width, facePickCanvas.height);
+    facePickStage.style.setProperty("--pick-ar", `${w} / ${h}`);
+    facePickNote.textContent = `${faces.length} faces found. Choose the person to crop.`;
+
+    return new Promise((resolve) => {
+      const boxes = [...faces]
+        .sort((a, b) => a.xCenter - b.xCenter)
+        .map((face, i) => {
+          const x0 = clamp(face.xmin, 0, 1);
+          const y0 = clamp(face.ymin, 0, 1);
+          const b = document.createElement("button");
+          b.className = "facePick__box";
+          b.type = "button";
+          b.textContent = String(i + 1);
+          b.setAttribute("aria-label", `Crop around face ${i + 1}`);
+          b.style.left = `${x0 * 100}%`;
+          b.style.top = `${y0 * 100}%`;
+          b.style.width = `${(clamp(face.xmin + face.width, 0, 1) - x0) * 100}%`;
+          b.style.height = `${(clamp(face.ymin + face.height, 0, 1) - y0) * 100}%`;
+          b.addEventListener("click", () => done(face));
+          return b;
+        });
+      const done = (face) => {
+        facePickCancel = null;
+        for (const b of boxes) b.remove();
+        facePick.classList.add("hidden");
+        resolve(face);
+      };
+      facePickCancel = () => done(null);
+      facePickStage.append(...boxes);
+      facePick.classList.remove("hidden");
+      boxes[0]?.focus();
+    });
+  }
+
+  function faceIntrusion(crop, others, srcW, srcH) {
+    // Largest share (0..1) of another face's box inside the crop frame. The crop is in leveled
+    // coordinates, so points of each box are rotated by -angle around the pivot first; a 10×10
+    // sample grid is fine-grained enough for a threshold of a few percent.
+    const n = 10;
+    const cos = Math.cos(-crop.angle);
+    const sin = Math.sin(-crop.angle);
+    let worst = 0;
+    for (const f of others) {
+      let inside = 0;
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+          const dx = (f.xmin + (f.width * (i + 0.5)) / n) * srcW - crop.pivot.x;
+          const dy = (f.ymin + (f.height * (j + 0.5)) / n) * srcH - crop.pivot.y;
+          const x = crop.pivot.x + dx * cos - dy * sin;
+          const y = crop.pivot.y + dx * sin + dy * cos;
+          if (x >= crop.sx && x <= crop.sx + crop.sw && y >= crop.sy && y <= crop.sy + crop.sh) inside++;
+        }
+      }
+      worst = Math.max(worst, inside / (n * n));
+    }
+    return worst;
+  }
+
+  async function processUploadedFile(file) {
+    facePickCancel?.();
+    setStatus("Processing…", "info");
+    setValidation("Loading image…", "info");
+
+    // Stop camera to avoid confusion
+    stopCamera();
+    enable(btnRetake, true);
+
+    try {
+      await loadFileIntoCanvas(file, workCanvas);
+      await initModelsOnce();
+      // A group or event picture: let the user choose whose photo this is instead of blocking.
+      const { faces } = await detectFacesAuto(workCanvas);
+      if (faces.length > 1) {
+        setValidation(`${faces.length} faces found. Choose the person to crop.`, "info");
+        const face = await pickFace(workCanvas, faces);
+        if (!face) return;
+        setValidation("Processing photo… (background + enhancement)", "info");
+        await processSourceCanvas(workCanvas, { face, others: faces.filter((f) => f !== face), picked: true });
+        return;
+      }
+      await processSourceCanvas(workCanvas, { face: faces[0] || null, others: [], picked: false });
+    } catch (e) {
+      const msg = String(e?.message || e || "Upload failed");
+      setValidation(`Upload failed: ${msg}`, "bad");
+      setStatus("Blocked", "bad");
+    }
+  }
+
+  async function processSourceCanvas(srcCanvas, faces = null, { spendCredit = true } = {}) {
+    // `faces`: detection already done on srcCanvas, see sourceFaces (pickFace for group photos).
+    // spendCredit: see applyBackgroundToCurrent.
+    closeCropEditor(true);
+    setCompare(false);
+    hasSourceFrame = srcCanvas === workCanvas;
+    sourceFaces = hasSourceFrame ? faces : null;
+    lastCrop = null;
+
+    // Detect face (required for correct crop)
+    const bb = faces ? faces.face : await detectNormFaceBox(srcCanvas);
+    const picked = !!faces?.picked;
+
+    const v = validateFromNormBox(bb, picked);
+    if (!v.ok) {
+      setValidation(`Blocked: ${v.msg}`, v.kind === "warn" ? "warn" : "bad");
+      // Resume live validation only if camera is running
+      if (stream && !detectionTimer) detectionTimer = setInterval(() => void validateLive(), 240);
+      return;
+    }
+
+    // The crop is built off-screen first: a frame that fails the quality gate must not replace
+    // the current photo.
+    const minCropFrac = picked ? FACE_PICK.minCropFrac : undefined;
+    const { crop, canvas: cropCanvas, quality } = cutFromSource(srcCanvas, bb, minCropFrac);
+    if (picked) {
+      if (faceIntrusion(crop, faces.others, srcCanvas.width, srcCanvas.height) > FACE_PICK.intrusionMax) {
+        setValidation(
+          "Blocked: another face reaches into the photo. Pick someone standing apart, or upload a photo of them alone.",
+          "bad",
+        );
+        return;
+      }
+      const upscale = photoPx.h / crop.sh;
+      if (upscale > FACE_PICK.upscale.bad) quality.bad.push("Face is too small in this picture to print sharply.");
+      else if (upscale > FACE_PICK.upscale.warn) quality.warn.push("Face is small in this picture (may look soft).");
+    }
+    if (quality.bad.length) {
+      setValidation(`Blocked: ${[...quality.bad, ...quality.warn].join(" ")}`, "bad");
+      if (stream && !detectionTimer) detectionTimer = setInterval(() => void validateLive(), 240);
+      return;
+    }
+    qualityNote = quality.warn.join(" ");
+
+    // RAW crop
+    if (hasSourceFrame) lastCrop = crop;
+    rawPhotoCanvas.width = photoPx.w;
+    rawPhotoCanvas.height = photoPx.h;
+    rawPhotoCanvas.getContext("2d", { willReadFrequently: true }).drawImage(cropCanvas, 0, 0);
+    lastCropMeasure = crop.measured;
+    galleryCurrent = { id: null };
+    showRawPhoto();
+    resetEditHistory();
+    await applyBackgroundToCurrent({ spendCredit });
+  }
+
+  function showRawPhoto() {
+    // A new cut is a new current photo (a kept snapshot of the old one stays on the sheet).
+    currentKept = false;
+    photoVersion++;
+    // Copy RAW into visible photo canvas
+    photoCanvas.width = photoPx.w;
+    photoCanvas.height = photoPx.h;
+    const pctx = photoCanvas.getContext("2d", { willReadFrequently: true });
+    pctx.clearRect(0, 0, photoPx.w, photoPx.h);
+    pctx.drawImage(rawPhotoCanvas, 0, 0);
+
+    hasRawPhoto = true;
+    updateApplyBgUi();
+
+    // Persist RAW so Apply Background remains clickable after a reload
+    gallerySaveRaw();
+  }
+
+  function clearProcessedOutput() {
+    closeCropEditor(true);
+    hasOutput = false;
+    currentKept = false;
+    lastCropMeasure = null;
+    lastCrop = null;
+    qualityNote = "";
+    photoMeta.textContent = "—";
+    hasRawPhoto = false;
+    galleryCurrent = null;
+    setCompare(false);
+    clearEditHistory();
+    updateApplyBgUi();
+    refreshSheet();
+  }
+
+  async function onSpecChanged() {
+    try {
+      localStorage.setItem(STORAGE.spec, activeSpec.id);
+    } catch {
+      // ignore
+    }
+
+    // Re-crop from the last source frame when we still have it; an old crop has the wrong shape.
+    if (hasSourceFrame) {
+      setStatus("Processing…", "info");
+      setValidation(`Re-cropping for ${activeSpec.label}…`, "info");
+      try {
+        // A switch back to an earlier spec re-creates that crop and finds its cutout cached.
+        await processSourceCanvas(workCanvas, sourceFaces, { spendCredit: false });
+      } catch (e) {
+        setValidation(`Re-crop failed: ${e?.message || e || "Unknown error"}`, "bad");
+      }
+      return;
+    }
+    if (hasRawPhoto) {
+      clearProcessedOutput();
+      resetPhotoCanvas();
+      setValidation(`Document changed to ${activeSpec.label}. Take or upload the photo again.`, "warn");
+      return;
+    }
+    resetPhotoCanvas();
+  }
+
+  function afterProcessSuccess({ note }) {
+    photoVersion++;
+    photoMeta.textContent = photoMetaText();
+    if (qualityNote) setValidation(`Done. ${note} Check: ${qualityNote}`, "warn");
+    else setValidation(`Done. ${note}`, "ok");
+    hasOutput = true;
+    if (digitalSummary) digitalSummary.textContent = "";
+    renderCompare();
+    refreshSheet();
+  }
+
+  // --- Manual crop editor ---
+  // Pan / zoom / rotate the crop on photoCanvas. The source is the full frame in workCanvas when
+  // we still have it; otherwise a copy of rawPhotoCanvas (e.g. after a session restore), which
+  // only allows zooming in.
+  function copyCanvas(src) {
+    const c = document.createElement("canvas");
+    c.width = src.width;
+    c.height = src.height;
+    c.getContext("2d").drawImage(src, 0, 0);
+    return c;
+  }
+
+  async function openCropEditor() {
+    if (!hasRawPhoto || cropEditor) return;
+    setCompare(false);
+    // Drop any in-flight background apply; its result would land under the editor.
+    bgAbort?.abort();
+    bgAbort = null;
+    btnCancelBg?.classList.add("hidden");
+
+    let src;
+    let crop;
+    let face = null;
+    if (hasSourceFrame && lastCrop) {
+      src = workCanvas;
+      face = lastCrop.face;
+      crop = { ...lastCrop, pivot: face.pivot };
+    } else {
+      src = copyCanvas(rawPhotoCanvas);
+      try {
+        await initModelsOnce();
+        const bb = await detectNormFaceBox(src);
+        if (bb && typeof bb === "object") face = computeCropRectFromFace(bb, src.width, src.height).face;
+      } catch {
+        // guides only
+      }
+      const pivot = face ? face.pivot : { x: src.width / 2, y: src.height / 2 };
+      crop = { sx: 0, sy: 0, sw: src.width, sh: src.height, angle: 0, pivot };
+    }
+    if (!hasRawPhoto) return; // cleared while detecting
+
+    // Other faces of a group photo keep being checked while the crop moves.
+    const others = src === workCanvas ? sourceFaces?.others || [] : [];
+    cropEditor = { src, crop, start: { ...crop }, face, others, before: copyCanvas(photoCanvas) };
+    const zoomSteps = Math.round(Math.log2(CROP_EDIT.zoom) * 100);
+    if (cropZoom) {
+      cropZoom.min = String(-zoomSteps);
+      cropZoom.max = String(zoomSteps);
+    }
+    if (cropRotate) {
+      cropRotate.min = String(-CROP_EDIT.rotateDeg);
+      cropRotate.max = String(CROP_EDIT.rotateDeg);
+    }
+    photoCanvas.classList.add("canvas--editing");
+    cropEditBar?.classList.remove("hidden");
+    updateApplyBgUi();
+    refreshSheet();
+    setValidation("Adjust the crop: drag to move, pinch or scroll to zoom, rotate with two fingers or the slider.", "info");
+    renderCropEditor();
+  }
+
+  function closeCropEditor(restore) {
+    if (!cropEditor) return;
+    const { before } = cropEditor;
+    cropEditor = null;
+    editPointers.clear();
+    if (editFrame) cancelAnimationFrame(editFrame);
+    editFrame = 0;
+    photoCanvas.classList.remove("canvas--editing");
+    cropEditBar?.classList.add("hidden");
+    if (restore) {
+      photoVersion++;
+      photoCanvas.width = before.width;
+      photoCanvas.height = before.height;
+      photoCanvas.getContext("2d").drawImage(before, 0, 0);
+    }
+    updateApplyBgUi();
+    refreshSheet();
+  }
+
+  async function applyCropEdit() {
+    if (!cropEditor) return;
+    const { src, crop, face } = cropEditor;
+    closeCropEditor(false);
+
+    rawPhotoCanvas.width = photoPx.w;
+    rawPhotoCanvas.height = photoPx.h;
+    drawCropToCanvas(src, crop, rawPhotoCanvas);
+    lastCropMeasure = face ? measureCrop(crop, face) : null;
+    // Re-opening continues from this crop (a raw-copy source is re-detected instead).
+    lastCrop = src === workCanvas ? { ...crop, face } : null;
+    showRawPhoto();
+    recordEdit(true);
+    await applyBackgroundToCurrent();
+  }
+
+  function clampEditCrop() {
+    const c = cropEditor.crop;
+    const { width: W, height: H } = cropEditor.src;
+    const ar = photoAspect();
+    const maxH = Math.min(cropEditor.start.sh * CROP_EDIT.zoom, H, W / ar);
+    const minH = Math.min(cropEditor.start.sh / CROP_EDIT.zoom, maxH);
+    const cx = c.sx + c.sw / 2;
+    const cy = c.sy + c.sh / 2;
+    c.sh = clamp(c.sh, minH, maxH);
+    c.sw = c.sh * ar;
+    c.sx = clamp(cx - c.sw / 2, 0, W - c.sw);
+    c.sy = clamp(cy - c.sh / 2, 0, H - c.sh);
+    const maxAngle = (CROP_EDIT.rotateDeg * Math.PI) / 180;
+    c.angle = clamp(c.angle, -maxAngle, maxAngle);
+  }
+
+  function panCrop(dx, dy) {
+    cropEditor.crop.sx += dx;
+    cropEditor.crop.sy += dy;
+  }
+
+  function zoomCrop(factor) {
+    // factor > 1 enlarges the photo content (smaller crop), about the crop centre.
+    const c = cropEditor.crop;
+    const cx = c.sx + c.sw / 2;
+    const cy = c.sy + c.sh / 2;
+    c.sh /= factor;
+    c.sw /= factor;
+    c.sx = cx - c.sw / 2;
+    c.sy = cy - c.sh / 2;
+  }
+
+  function cropPxPerCssPx() {
+    // photoCanvas is letterboxed (object-fit: contain) inside its box.
+    const r = photoCanvas.getBoundingClientRect();
+    const shown = Math.min(r.width / photoCanvas.width, r.height / photoCanvas.height) || 1;
+    return cropEditor.crop.sw / photoCanvas.width / shown;
+  }
+
+  function scheduleCropRender() {
+    if (!cropEditor) return;
+    clampEditCrop();
+    if (!editFrame) editFrame = requestAnimationFrame(renderCropEditor);
+  }
+
+  function cropEditVerdict(m) {
+    if (!m) return { state: "info", text: "No face found in this photo: guides only." };
+    const { headMm, eyeMm } = activeSpec;
+    const issues = [];
+    if (m.headMm < headMm.min) issues.push("head too small (zoom in)");
+    else if (m.headMm > headMm.max) issues.push("head too large (zoom out)");
+    if (m.crownMm < 0) issues.push("top of head cut off");
+    if (m.eyeMm < eyeMm.min) issues.push("eyes too low (drag up)");
+    else if (m.eyeMm > eyeMm.max) issues.push("eyes too high (drag down)");
+    const face = cropEditor.face;
+    let tilt = null;
+    if (face.eyeAngle != null) {
+      tilt = ((face.eyeAngle - cropEditor.crop.angle) * 180) / Math.PI;
+      if (Math.abs(tilt) > CROP_EDIT.tiltDeg) issues.push("eyes not level (rotate)");
+    }
+    const { src, crop, others } = cropEditor;
+    if (faceIntrusion(crop, others, src.width, src.height) > FACE_PICK.intrusionMax) {
+      issues.push("another face in frame (zoom in or drag)");
+    }
+    const values =
+      `head ${fmtMm(m.headMm)}mm (${fmtMm(headMm.min)}–${fmtMm(headMm.max)}) • ` +
+      `eyes ${fmtMm(m.eyeMm)}mm (${fmtMm(eyeMm.min)}–${fmtMm(eyeMm.max)})` +
+      (tilt == null ? "" : ` • tilt ${fmtMm(tilt)}°`);
+    return issues.length
+      ? { state: "bad", text: `Fails: ${issues.join(", ")}. ${values}` }
+      : { state: "ok", text: `Passes ${activeSpec.label}. ${values}` };
+  }
+
+  function drawCropGuides(ctx, w, h, m, state) {
+    const { mm, headMm, eyeMm } = activeSpec;
+    const yAt = (mmFromTop) => (mmFromTop / mm.h) * h;
+    const line = (y, color, dash) => {
+      ctx.strokeStyle = color;
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(w, y);
+      ctx.stroke();
+    };
+    ctx.save();
+    ctx.lineWidth = Math.max(1, w / 300);
+
+    // Allowed eye line band + vertical centre.
+    const eyeTop = yAt(mm.h - eyeMm.max);
+    const eyeBottom = yAt(mm.h - eyeMm.min);
+    ctx.fillStyle = "rgba(22,163,74,.14)";
+    ctx.fillRect(0, eyeTop, w, eyeBottom - eyeTop);
+    line(eyeTop, "rgba(22,163,74,.7)", [6, 6]);
+    line(eyeBottom, "rgba(22,163,74,.7)", [6, 6]);
+    ctx.strokeStyle = "rgba(255,255,255,.7)";
+    ctx.setLineDash([4, 8]);
+    ctx.beginPath();
+    ctx.moveTo(w / 2, 0);
+    ctx.lineTo(w / 2, h);
+    ctx.stroke();
+
+    if (m) {
+      // Where the crown may sit for the current chin, then the detected crown / eyes / chin.
+      const chinY = yAt(m.crownMm + m.headMm);
+      const crownMin = chinY - yAt(headMm.max);
+      const crownMax = chinY - yAt(headMm.min);
+      ctx.fillStyle = "rgba(2,132,199,.14)";
+      ctx.fillRect(0, crownMin, w, crownMax - crownMin);
+      const color = state === "ok" ? "rgba(22,163,74,.95)" : "rgba(225,29,72,.95)";
+      line(yAt(m.crownMm), color, []);
+      line(chinY, color, []);
+      line(yAt(mm.h - m.eyeMm), color, [10, 4]);
+    }
+    ctx.restore();
+  }
+
+  function renderCropEditor() {
+    editFrame = 0;
+    if (!cropEditor) return;
+    const { src, crop, face } = cropEditor;
+    photoCanvas.width = photoPx.w;
+    photoCanvas.height = photoPx.h;
+    drawCropToCanvas(src, crop, photoCanvas);
+
+    const m = face ? measureCrop(crop, face) : null;
+    const verdict = cropEditVerdict(m);
+    drawCropGuides(photoCanvas.getContext("2d"), photoPx.w, photoPx.h, m, verdict.state);
+    if (cropEditStatus) {
+      cropEditStatus.textContent = verdict.text;
+      cropEditStatus.dataset.state = verdict.state;
+    }
+    if (cropZoom) cropZoom.value = String(Math.round(Math.log2(cropEditor.start.sh / crop.sh) * 100));
+    if (cropRotate) cropRotate.value = String(Math.round((crop.angle * 180) / Math.PI * 10) / 10);
+  }
+
+  function onEditPointerDown(e) {
+    if (!cropEditor) return;
+    e.preventDefault();
+    photoCanvas.setPointerCapture?.(e.pointerId);
+    editPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  }
+
+  function onEditPointerMove(e) {
+    if (!cropEditor || !editPointers.has(e.pointerId)) return;
+    e.preventDefault();
+    const prev = [...editPointers.values()].slice(0, 2);
+    editPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const next = [...editPointers.values()].slice(0, 2);
+    const k = cropPxPerCssPx();
+
+    if (next.length === 1) {
+      // Dragging the photo right moves the crop window left.
+      panCrop(-(next[0].x - prev[0].x) * k, -(next[0].y - prev[0].y) * k);
+    } else {
+      const [a0, b0] = prev;
+      const [a1, b1] = next;
+      const d0 = Math.hypot(b0.x - a0.x, b0.y - a0.y);
+      const d1 = Math.hypot(b1.x - a1.x, b1.y - a1.y);
+      panCrop(-((a1.x + b1.x - a0.x - b0.x) / 2) * k, -((a1.y + b1.y - a0.y - b0.y) / 2) * k);
+      if (d0 > 0 && d1 > 0) zoomCrop(d1 / d0);
+      // Fingers turning clockwise turn the photo clockwise (the crop angle goes the other way).
+      let turn = Math.atan2(b1.y - a1.y, b1.x - a1.x) - Math.atan2(b0.y - a0.y, b0.x - a0.x);
+      if (turn > Math.PI) turn -= 2 * Math.PI;
+      if (turn < -Math.PI) turn += 2 * Math.PI;
+      cropEditor.crop.angle -= turn;
+    }
+    scheduleCropRender();
+  }
+
+  function onEditPointerUp(e) {
+    editPointers.delete(e.pointerId);
+  }
+
+  function onEditWheel(e) {
+    if (!cropEditor) return;
+    e.preventDefault();
+    if (e.shiftKey) cropEditor.crop.angle -= (e.deltaY * 0.02 * Math.PI) / 180;
+    else zoomCrop(Math.exp(-e.deltaY * 0.0015));
+    scheduleCropRender();
+  }
+
+  // --- Edit history / compare ---
+  function snapshotEdit(rawChanged) {
+    const raw = rawChanged || !editHistory.present ? copyCanvas(rawPhotoCanvas) : editHistory.present.raw;
+    return {
+      raw,
+      measured: lastCropMeasure,
+      crop: lastCrop,
+      bgHex: getBackgroundColorHex(),
+      engine: getBgEngine(),
+      enhance: { ...enhanceSettings },
+    };
+  }
+
+  function resetEditHistory() {
+    editHistory.past = [];
+    editHistory.future = [];
+    editHistory.present = snapshotEdit(true);
+    updateHistoryUi();
+  }
+
+  function clearEditHistory() {
+    editHistory.past = [];
+    editHistory.future = [];
+    editHistory.present = null;
+    updateHistoryUi();
+  }
+
+  function recordEdit(rawChanged) {
+    // Call after the edit is in place (raw crop / settings already updated).
+    if (!editHistory.present) {
+      resetEditHistory();
+      return;
+    }
+    editHistory.past.push(editHistory.present);
+    if (editHistory.past.length > EDIT_HISTORY_MAX) editHistory.past.shift();
+    editHistory.future = [];
+    editHistory.present = snapshotEdit(rawChanged);
+    updateHistoryUi();
+  }
+
+  async function stepHistory(dir) {
+    const from = dir < 0 ? editHistory.past : editHistory.future;
+    const to = dir < 0 ? editHistory.future : editHistory.past;
+    if (!from.length || !editHistory.present || batchAbort) return;
+    closeCropEditor(true);
+    to.push(editHistory.present);
+    const state = from.pop();
+    editHistory.present = state;
+    updateHistoryUi();
+
+    rawPhotoCanvas.width = state.raw.width;
+    rawPhotoCanvas.height = state.raw.height;
+    rawPhotoCanvas.getContext("2d", { willReadFrequently: true }).drawImage(state.raw, 0, 0);
+    lastCropMeasure = state.measured;
+    lastCrop = state.crop;
+    renderBgColorOptions(state.bgHex);
+    if (bgEngineSelect) bgEngineSelect.value = state.engine;
+    enhanceSettings = { ...state.enhance };
+    renderEnhanceUi();
+    updateApplyBgUi();
+    gallerySaveRaw();
+    await applyBackgroundToCurrent({ spendCredit: false });
+  }
+
+  function updateHistoryUi() {
+    if (btnUndo) enable(btnUndo, editHistory.past.length > 0);
+    if (btnRedo) enable(btnRedo, editHistory.future.length > 0);
+  }
+
+  function setCompare(on) {
+    compareSplit = on && hasOutput && hasRawPhoto ? (compareSplit ?? 0.5) : null;
+    btnCompare?.setAttribute("aria-pressed", String(compareSplit != null));
+    compareCanvas?.classList.toggle("hidden", compareSplit == null);
+    renderCompare();
+  }
+
+  function renderCompare() {
+    // Raw crop on the left of the split, the finished photo (photoCanvas, underneath) on the right.
+    if (!compareCanvas || compareSplit == null) return;
+    const w = photoCanvas.width;
+    const h = photoCanvas.height;
+    compareCanvas.width = w;
+    compareCanvas.height = h;
+    const ctx = compareCanvas.getContext("2d");
+    ctx.clearRect(0, 0, w, h);
+    const x = Math.round(compareSplit * w);
+    ctx.drawImage(rawPhotoCanvas, 0, 0, x, h, 0, 0, x, h);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(x - 1, 0, 2, h);
+    ctx.font = `${Math.round(h / 30)}px system-ui, sans-serif`;
+    ctx.textBaseline = "top";
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "rgba(0,0,0,.55)";
+    const pad = Math.round(h / 60);
+    for (const [text, tx, align] of [
+      ["Before", pad, "left"],
+      ["After", w - pad, "right"],
+    ]) {
+      ctx.textAlign = /** @type {CanvasTextAlign} */ (align);
+      ctx.strokeText(text, tx, pad);
+      ctx.fillText(text, tx, pad);
+    }
+  }
+
+  function onComparePointer(e) {
+    if (compareSplit == null || (e.type === "pointermove" && !e.buttons)) return;
+    // The canvas is letterboxed (object-fit: contain); map from the drawn area.
+    const r = compareCanvas.getBoundingClientRect();
+    const shown = Math.min(r.width / compareCanvas.width, r.height / compareCanvas.height);
+    const drawnW = compareCanvas.width * shown;
+    const left = r.left + (r.width - drawnW) / 2;
+    compareSplit = clamp((e.clientX - left) / drawnW, 0, 1);
+    renderCompare();
+  }
+
+  // --- Sheet generation ---
+  function currentOnSheet() {
+    return hasFinishedPhoto() && !currentKept;
+  }
+
+  /** @returns {{ canvas: HTMLCanvasElement, spec: PhotoSpec, qty: number, name: string }[] | null} null while Quantity is being typed */
+  function sheetEntries() {
+    const entries = sheetItems
+      .filter((it) => it.qty > 0)
+      .map(({ canvas, spec, qty, name }) => ({ canvas, spec, qty, name }));
+    if (currentOnSheet()) {
+      const qty = getQtyForRender();
+      if (qty == null) return null; // don't snap while user is clearing/typing
+      entries.push({ canvas: photoCanvas, spec: activeSpec, qty, name: captionNameInput?.value.trim() || "" });
+    }
+    return entries;
+  }
+
+  // --- Sheet layout engine ---
+  // Everything is in mm inside the printable area (sheet minus margins). Each photo occupies a
+  // footprint of size + gap; the area gets one gap back since the last row/column needs none.
+  const EPS = 1e-6;
+
+  function trimSpaceMm() {
+    // Room needed outside each photo's trim edge for bleed and crop marks.
+    const marks = sheetLayout.cutMarks ? SHEET_MARKS.markOffsetMm + SHEET_MARKS.markLengthMm : 0;
+    return sheetLayout.bleedMm + marks;
+  }
+
+  function layoutGapMm() {
+    return Math.max(sheetLayout.gapMm, 2 * trimSpaceMm());
+  }
+
+  function captionSpaceMm() {
+    // A caption under each photo makes every cell taller (below the bleed).
+    return sheetLayout.captions === "photo"
+      ? sheetLayout.bleedMm + SHEET_MARKS.markOffsetMm + SHEET_MARKS.captionMm
+      : 0;
+  }
+
+  function bottomBandMm() {
+    return sheetLayout.ruler || sheetLayout.captions === "sheet" ? SHEET_MARKS.bandMm : 0;
+  }
+
+  function printableMm() {
+    const m = sheetLayout.marginMm + trimSpaceMm();
+    const band = bottomBandMm();
+    return { x: m, y: m, w: Math.max(0, sheetMm.w - 2 * m), h: Math.max(0, sheetMm.h - 2 * m - band) };
+  }
+
+  function planUniform(w, h) {
+    // Best block plan for one photo size: a plain grid, the rotated grid, or k rows / columns of
+    // one orientation with the rest filled by the other. Returns slots in cutting order.
+    const area = printableMm();
+    const g = layoutGapMm();
+    const AW = area.w + g;
+    const AH = area.h + g;
+    const up = { w: w + g, h: h + g, rotated: false };
+    const side = { w: h + g, h: w + g, rotated: true };
+    const grid = (o, x, y, bw, bh) => {
+      const cols = Math.floor(bw / o.w + EPS);
+      const rows = Math.floor(bh / o.h + EPS);
+      return cols > 0 && rows > 0 ? [{ o, x, y, cols, rows }] : [];
+    };
+
+    const plans = [grid(up, 0, 0, AW, AH)];
+    if (sheetLayout.rotate && w !== h) {
+      plans.push(grid(side, 0, 0, AW, AH));
+      for (const [a, b] of [
+        [up, side],
+        [side, up],
+      ]) {
+        for (let k = 1; k * a.h <= AH + EPS; k++) {
+          plans.push([...grid(a, 0, 0, AW, k * a.h), ...grid(b, 0, k * a.h, AW, AH - k * a.h)]);
+        }
+        for (let k = 1; k * a.w <= AW + EPS; k++) {
+          plans.push([...grid(a, 0, 0, k * a.w, AH), ...grid(b, k * a.w, 0, AW - k * a.w, AH)]);
+        }
+      }
+    }
+
+    // Most photos wins; ties go to fewer rotated photos (simpler cutting).
+    const total = (plan) => plan.reduce((n, b) => n + b.cols * b.rows, 0);
+    const rotated = (plan) => plan.reduce((n, b) => n + (b.o.rotated ? b.cols * b.rows : 0), 0);
+    let best = plans[0];
+    for (const plan of plans) {
+      const d = total(plan) - total(best);
+      if (d > 0 || (d === 0 && rotated(plan) < rotated(best))) best = plan;
+    }
+
+    const slots = [];
+    for (const b of best) {
+      for (let r = 0; r < b.rows; r++) {
+        for (let c = 0; c < b.cols; c++) {
+          slots.push({
+            x: area.x + b.x + c * b.o.w,
+            y: area.y + b.y + r * b.o.h,
+            w: b.o.w - g,
+            h: b.o.h - g,
+            rotated: b.o.rotated,
+          });
+        }
+      }
+    }
+    return slots;
+  }
+
+  function splitFreeRects(free, px, py, pw, ph) {
+    // MaxRects: cut the placed footprint out of every free rectangle it overlaps, then drop
+    // rectangles contained in another one.
+    const out = [];
+    for (const r of free) {
+      const hit = px < r.x + r.w - EPS && px + pw > r.x + EPS && py < r.y + r.h - EPS && py + ph > r.y + EPS;
+      if (!hit) {
+        out.push(r);
+        continue;
+      }
+      if (px > r.x + EPS) out.push({ x: r.x, y: r.y, w: px - r.x, h: r.h });
+      if (px + pw < r.x + r.w - EPS) out.push({ x: px + pw, y: r.y, w: r.x + r.w - px - pw, h: r.h });
+      if (py > r.y + EPS) out.push({ x: r.x, y: r.y, w: r.w, h: py - r.y });
+      if (py + ph < r.y + r.h - EPS) out.push({ x: r.x, y: py + ph, w: r.w, h: r.y + r.h - py - ph });
+    }
+    const inside = (a, b) =>
+      a.x >= b.x - EPS && a.y >= b.y - EPS && a.x + a.w <= b.x + b.w + EPS && a.y + a.h <= b.y + b.h + EPS;
+    return out.filter((a, i) => !out.some((b, j) => j !== i && inside(a, b) && (!inside(b, a) || j < i)));
+  }
+
+  function packMixed(copies) {
+    // Mixed sizes: largest first, each at the top-most then left-most free spot (either
+    // orientation when allowed; upright wins ties).
+    const area = printableMm();
+    const g = layoutGapMm();
+    let free = [{ x: 0, y: 0, w: area.w + g, h: area.h + g }];
+    const order = copies
+      .map((c, i) => ({ c, i }))
+      .sort((a, b) => b.c.w * b.c.h - a.c.w * a.c.h || a.i - b.i)
+      .map(({ c }) => c);
+    const placements = [];
+    const rest = [];
+    for (const c of order) {
+      const options = [{ w: c.w, h: c.h, rotated: false }];
+      if (sheetLayout.rotate && c.w !== c.h) options.push({ w: c.h, h: c.w, rotated: true });
+      let best = null;
+      for (const o of options) {
+        for (const r of free) {
+          if (o.w + g > r.w + EPS || o.h + g > r.h + EPS) continue;
+          if (!best || r.y < best.y - EPS || (Math.abs(r.y - best.y) < EPS && r.x < best.x - EPS)) {
+            best = { ...o, x: r.x, y: r.y };
+          }
+        }
+      }
+      if (!best) {
+        rest.push(c);
+        continue;
+      }
+      placements.push({ entry: c.entry, x: area.x + best.x, y: area.y + best.y, w: best.w, h: best.h, rotated: best.rotated });
+      free = splitFreeRects(free, best.x, best.y, best.w + g, best.h + g);
+    }
+    return { placements, rest };
+  }
+
+  function packPage(copies) {
+    // One size → the block planner (regular, cutting-friendly); several sizes → MaxRects.
+    if (!copies.length) return { placements: [], rest: [] };
+    const { w, h } = copies[0];
+    if (copies.every((c) => c.w === w && c.h === h)) {
+      const slots = planUniform(w, h);
+      const placements = copies.slice(0, slots.length).map((c, i) => ({ entry: c.entry, ...slots[i] }));
+      return { placements, rest: copies.slice(slots.length) };
+    }
+    return packMixed(copies);
+  }
+
+  function layoutPages(entries) {
+    // Cells are the photo plus its caption line (if any); placements keep the cell size.
+    // Pages are filled one after another; copies that fit no page are counted in `overflow`.
+    const cap = captionSpaceMm();
+    let copies = [];
+    for (const entry of entries) {
+      for (let i = 0; i < entry.qty; i++) copies.push({ entry, w: entry.spec.mm.w, h: entry.spec.mm.h + cap });
+    }
+    const pages = [];
+    while (copies.length && pages.length < SHEET_MAX_PAGES) {
+      const { placements, rest } = packPage(copies);
+      if (!placements.length) break; // larger than the printable area
+      pages.push(placements);
+      copies = rest;
+    }
+    const usedMm2 = pages.flat().reduce((a, p) => a + p.entry.spec.mm.w * p.entry.spec.mm.h, 0);
+    const paperMm2 = sheetMm.w * sheetMm.h * Math.max(1, pages.length);
+    return { pages, overflow: copies.length, wasteMm2: paperMm2 - usedMm2, wasteFrac: 1 - usedMm2 / paperMm2 };
+  }
+
+  function renderSheet(targetCanvas, targetW, targetH, placements) {
+    const { scene, images } = buildSheetScene(placements);
+    drawSheetScene(targetCanvas.getContext("2d", { willReadFrequently: false }), scene, images, targetW, targetH);
+  }
+
+  async function renderSheetBlob(placements, { signal, onProgress } = {}) {
+    // One full-res page as a JPEG (no print metadata yet), drawn and encoded in the pixel worker.
+    const { scene, images } = buildSheetScene(placements);
+    const { w, h } = sheetPx;
+    if (workerSupported()) {
+      try {
+        const bitmaps = await Promise.all(images.map((img) => createImageBitmap(img)));
+        const msg = { type: "sheet", scene, images: bitmaps, w, h, mime: "image/jpeg", quality: 0.95 };
+        return (await runWorkerJob(msg, bitmaps, { signal, onProgress })).blob;
+      } catch (e) {
+        if (signal?.aborted) throw e;
+      }
+    }
+    if (signal?.aborted) throw workerCancelled();
+    const canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    drawSheetScene(canvas.getContext("2d"), scene, images, w, h, onProgress);
+    return canvasToBlob(canvas, "image/jpeg", 0.95);
+  }
+
+  function buildSheetScene(placements) {
+    // What a page shows, as plain (structured-cloneable) data in sheet mm, plus the distinct
+    // photo images its cells point at by index.
+    const images = [];
+    const b = sheetLayout.bleedMm;
+    const cells = placements.map((p) => {
+      const img = photoWithBleed(p.entry);
+      if (!images.includes(img)) images.push(img);
+      const { w, h } = p.entry.spec.mm;
+      const { marks, caption } = cellDecor(p.entry);
+      return {
+        x: p.x,
+        y: p.y,
+        w: p.w,
+        rotated: p.rotated,
+        image: images.indexOf(img),
+        rect: [-b, -b, w + 2 * b, h + 2 * b],
+        // Faint outline as a cutting guide (a line on the trim would show with bleed).
+        outline: !marks.length && b === 0 ? [0, 0, w, h] : null,
+        marks,
+        caption,
+      };
+    });
+    return { scene: { wMm: sheetMm.w, cells, band: bandDecor(placements) }, images };
+  }
+
+  function drawSheetScene(ctx, scene, images, targetW, targetH, onProgress) {
+    // Self-contained: also runs inside the pixel worker on an OffscreenCanvas.
+    const strokeSegments = (segments) => {
+      if (!segments.length) return;
+      ctx.beginPath();
+      for (const [x1, y1, x2, y2] of segments) {
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+      }
+      ctx.stroke();
+    };
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+
+    // Background
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, targetW, targetH);
+
+    // Layout is in mm; draw in mm too (real-world sizes stay correct at any canvas scale).
+    const k = targetW / scene.wMm;
+    const hairline = Math.max(0.12, 1 / k);
+    ctx.scale(k, k);
+
+    scene.cells.forEach((c, i) => {
+      ctx.save();
+      // Local frame: the photo upright at the origin (see cellToSheet).
+      if (c.rotated) {
+        ctx.translate(c.x + c.w, c.y);
+        ctx.rotate(Math.PI / 2);
+      } else {
+        ctx.translate(c.x, c.y);
+      }
+      const [rx, ry, rw, rh] = c.rect;
+      ctx.drawImage(images[c.image], rx, ry, rw, rh);
+      ctx.lineWidth = hairline;
+      if (c.marks.length) {
+        ctx.strokeStyle = "#000000";
+        strokeSegments(c.marks);
+      } else if (c.outline) {
+        const [ox, oy, ow, oh] = c.outline;
+        ctx.strokeStyle = "rgba(0,0,0,.18)";
+        ctx.strokeRect(ox, oy, ow, oh);
+      }
+      if (c.caption) {
+        ctx.fillStyle = "#333333";
+        ctx.font = `${c.caption.fontMm}px system-ui, sans-serif`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "alphabetic";
+        ctx.fillText(c.caption.text, c.caption.x, c.caption.y, c.caption.maxW);
+      }
+      ctx.restore();
+      onProgress?.((i + 1) / scene.cells.length);
+    });
+
+    const { band } = scene;
+    ctx.strokeStyle = "#000000";
+    ctx.lineWidth = hairline;
+    strokeSegments(band.lines);
+    ctx.fillStyle = "#333333";
+    ctx.font = `${band.fontMm}px system-ui, sans-serif`;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+    for (const t of band.texts) ctx.fillText(t.text, t.x, t.y, t.maxW);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
+
+  function cellToSheet(p) {
+    // Local (upright photo, mm) → sheet mm. Rotated cells turn a quarter clockwise, so the
+    // photo's width runs down the sheet.
+    return p.rotated ? (lx, ly) => [p.x + p.w - ly, p.y + lx] : (lx, ly) => [p.x + lx, p.y + ly];
+  }
+
+  function photoWithBleed(entry) {
+    // The photo grown by the bleed on every side, its outermost pixels stretched outward so a
+    // slightly-off cut shows no white edge. Same px/mm as the photo itself.
+    const img = entry.canvas;
+    const b = sheetLayout.bleedMm;
+    if (!(b > 0)) return img;
+    const cached = bleedCache.get(img);
+    if (cached?.b === b) return cached.canvas;
+    const { w, h } = entry.spec.mm;
+    const pxPerMm = img.width / w;
+    const bp = Math.max(1, Math.round(b * pxPerMm));
+    const iw = img.width;
+    const ih = img.height;
+    const out = document.createElement("canvas");
+    out.width = iw + 2 * bp;
+    out.height = ih + 2 * bp;
+    const ctx = out.getContext("2d");
+    ctx.drawImage(img, 0, 0, iw, 1, bp, 0, iw, bp);
+    ctx.drawImage(img, 0, ih - 1, iw, 1, bp, bp + ih, iw, bp);
+    ctx.drawImage(img, 0, 0, 1, ih, 0, bp, bp, ih);
+    ctx.drawImage(img, iw - 1, 0, 1, ih, bp + iw, bp, bp, ih);
+    ctx.drawImage(img, 0, 0, 1, 1, 0, 0, bp, bp);
+    ctx.drawImage(img, iw - 1, 0, 1, 1, bp + iw, 0, bp, bp);
+    ctx.drawImage(img, 0, ih - 1, 1, 1, 0, bp + ih, bp, bp);
+    ctx.drawImage(img, iw - 1, ih - 1, 1, 1, bp + iw, bp + ih, bp, bp);
+    ctx.drawImage(img, bp, bp);
+    bleedCache.set(img, { b, canvas: out });
+    return out;
+  }
+
+  function cellDecor(entry) {
+    // Crop marks (on the trim lines, outside the bleed) and caption of one photo, in its local frame.
+    const { w, h } = entry.spec.mm;
+    const b = sheetLayout.bleedMm;
+    const marks = [];
+    if (sheetLayout.cutMarks) {
+      const s0 = b + SHEET_MARKS.markOffsetMm;
+      const s1 = s0 + SHEET_MARKS.markLengthMm;
+      for (const [cx, dx] of [
+        [0, -1],
+        [w, 1],
+      ]) {
+        for (const [cy, dy] of [
+          [0, -1],
+          [h, 1],
+        ]) {
+          marks.push([cx + dx * s0, cy, cx + dx * s1, cy], [cx, cy + dy * s0, cx, cy + dy * s1]);
+        }
+      }
+    }
+    const fontMm = SHEET_MARKS.captionMm * 0.7;
+    const caption =
+      sheetLayout.captions === "photo"
+        ? { text: captionText(entry), x: w / 2, y: h + b + SHEET_MARKS.markOffsetMm + fontMm, maxW: w, fontMm }
+        : null;
+    return { marks, caption };
+  }
+
+  function specShortName(spec) {
+    return spec.label.replace(/\s*\(.*\)\s*$/, "");
+  }
+
+  function captionText(entry) {
+    return [entry.name, specShortName(entry.spec), new Date().toLocaleDateString()].filter(Boolean).join(" • ");
+  }
+
+  function bandDecor(placements) {
+    // Bottom band inside the margin, in sheet mm: 50mm calibration ruler and/or a one-line
+    // sheet caption (text baselines + left edges).
+    const lines = [];
+    const texts = [];
+    const fontMm = SHEET_MARKS.captionMm * 0.7;
+    if (!bottomBandMm()) return { lines, texts, fontMm };
+    const x0 = sheetLayout.marginMm;
+    const top = sheetMm.h - sheetLayout.marginMm - SHEET_MARKS.bandMm;
+
+    if (sheetLayout.ruler) {
+      const L = SHEET_MARKS.rulerMm;
+      const y = top + 1;
+      lines.push([x0, y, x0 + L, y]);
+      for (let mm = 0; mm <= L; mm++) {
+        const tick = mm % 10 === 0 ? 3 : mm % 5 === 0 ? 2 : 1;
+        lines.push([x0 + mm, y, x0 + mm, y + tick]);
+      }
+      texts.push({ text: `${L} mm: measure to check the print was not scaled`, x: x0 + L + 2, y: y + fontMm, maxW: sheetMm.w - 2 * x0 - L - 2 });
+    }
+
+    if (sheetLayout.captions === "sheet") {
+      const seen = new Map();
+      for (const p of placements) {
+        const key = `${p.entry.name}|${p.entry.spec.id}`;
+        const cur = seen.get(key) || { entry: p.entry, n: 0 };
+        cur.n++;
+        seen.set(key, cur);
+      }
+      const parts = [...seen.values()].map(({ entry, n }) =>
+        [entry.name, `${specShortName(entry.spec)} ×${n}`].filter(Boolean).join(" – "),
+      );
+      const y = sheetLayout.ruler ? top + 2.5 + fontMm * 2 : top + 1 + fontMm;
+      texts.push({ text: `${parts.join(" • ")} • ${new Date().toLocaleDateString()}`, x: x0, y, maxW: sheetMm.w - 2 * x0 });
+    }
+    return { lines, texts, fontMm };
+  }
+
+  function sheetContentsText(entries) {
+    const bySize = new Map();
+    for (const e of entries) {
+      const key = `${fmtMm(e.spec.mm.w)}×${fmtMm(e.spec.mm.h)}mm`;
+      bySize.set(key, (bySize.get(key) || 0) + e.qty);
+    }
+    return [...bySize].map(([size, n]) => `${size} × ${n}`).join(", ");
+  }
+
+  // --- Sheet composer ---
+  function keepCurrentOnSheet() {
+    if (!currentOnSheet()) return;
+    const canvas = document.createElement("canvas");
+    canvas.width = photoCanvas.width;
+    canvas.height = photoCanvas.height;
+    canvas.getContext("2d").drawImage(photoCanvas, 0, 0);
+    const t = document.createElement("canvas");
+    t.width = 72; // 2× the list's 36px thumbnail
+    t.height = Math.round((72 * canvas.height) / canvas.width);
+    t.getContext("2d").drawImage(canvas, 0, 0, t.width, t.height);
+    const thumb = t.toDataURL("image/jpeg", 0.7);
+    const name = captionNameInput?.value.trim() || "";
+    sheetItems.push({ id: ++sheetItemSeq, canvas, thumb, spec: activeSpec, qty: normalizeQtyInInput(), name });
+    if (captionNameInput) captionNameInput.value = "";
+    currentKept = true;
+    setValidation("Photo kept on the sheet. Take or upload the next one, or change its quantity below.", "ok");
+    refreshSheet();
+  }
+
+  function renderSheetItems() {
+    if (!sheetItemsList) return;
+    sheetItemsList.innerHTML = "";
+    sheetItems.forEach((item, i) => {
+      const row = document.createElement("div");
+      row.className = "sheetItem";
+      row.dataset.id = String(item.id);
+
+      const thumb = document.createElement("img");
+      thumb.className = "sheetItem__thumb";
+      thumb.alt = "";
+      thumb.src = item.thumb;
+
+      const label = document.createElement("div");
+      label.className = "sheetItem__label";
+      label.textContent = `Photo ${i + 1} • ${item.spec.label}`;
+
+      const name = document.createElement("input");
+      name.className = "input input--name";
+      name.type = "text";
+      name.placeholder = "Name";
+      name.value = item.name;
+      name.dataset.role = "name";
+      name.setAttribute("aria-label", `Caption name for photo ${i + 1}`);
+
+      const qty = document.createElement("input");
+      qty.className = "input input--qty";
+      qty.type = "number";
+      qty.inputMode = "numeric";
+      qty.min = "0";
+      qty.step = "1";
+      qty.value = String(item.qty);
+      qty.dataset.role = "qty";
+      qty.setAttribute("aria-label", `Quantity for photo ${i + 1}`);
+
+      const remove = document.createElement("button");
+      remove.className = "btn btn--ghost btn--icon";
+      remove.type = "button";
+      remove.textContent = "✕";
+      remove.dataset.role = "remove";
+      remove.setAttribute("aria-label", `Remove photo ${i + 1} from the sheet`);
+
+      row.append(thumb, label, name, qty, remove);
+      sheetItemsList.appendChild(row);
+    });
+  }
+
+  function refreshSheet() {
+    // Buttons, item list and both sheet renders follow the composer's current contents.
+    enable(qtyInput, currentOnSheet());
+    if (btnKeepOnSheet) enable(btnKeepOnSheet, currentOnSheet());
+    if (btnClearSheet) enable(btnClearSheet, sheetItems.length > 0);
+    renderSheetItems();
+    const any = currentOnSheet() || sheetItems.some((it) => it.qty > 0);
+    enable(btnDownloadJpg, any && !exportAbort);
+    enable(btnDownloadPdf, any && !exportAbort);
+    if (btnDownloadDigital) enable(btnDownloadDigital, hasFinishedPhoto());
+    if (btnCompare) enable(btnCompare, hasFinishedPhoto());
+    if (!hasOutput && compareSplit != null) setCompare(false);
+    if (!hasOutput && digitalSummary) digitalSummary.textContent = "";
+    if (any) {
+      renderSheetAll();
+    } else {
+      clearSheetPreview();
+      sheetMeta.textContent = "—";
+    }
+  }
+
+  // --- Paper ---
+  function paperLabelShort() {
+    return `${activePaper.short}${paperLandscape ? " landscape" : ""}`;
+  }
+
+  function renderPaperOptions() {
+    if (!paperSelect) return;
+    paperSelect.innerHTML = "";
+    for (const paper of Object.values(PAPER_SIZES)) {
+      const opt = document.createElement("option");
+      opt.value = paper.id;
+      opt.textContent = paper.label;
+      paperSelect.appendChild(opt);
+    }
+  }
+
+  function setActivePaper(id, landscape) {
+    activePaper = PAPER_SIZES[id] || PAPER_SIZES[DEFAULT_PAPER_ID];
+    paperLandscape = !!landscape;
+    const { w, h } = activePaper.mm;
+    sheetMm = paperLandscape ? { w: h, h: w } : { w, h };
+    sheetPx = pxSizeFromMm(sheetMm, SHEET_DPI);
+
+    // Resizing clears the preview. (Full-res pages are rendered per export, see renderSheetBlob.)
+    sheetRenderKey = "";
+    // Preview keeps the paper's aspect ratio inside the on-screen box.
+    const pScale = Math.min(SHEET_PREVIEW_MAX.w / sheetMm.w, SHEET_PREVIEW_MAX.h / sheetMm.h);
+    sheetCanvasPreview.width = Math.round(sheetMm.w * pScale);
+    sheetCanvasPreview.height = Math.round(sheetMm.h * pScale);
+
+    if (paperSelect) paperSelect.value = activePaper.id;
+    if (paperOrientSelect) paperOrientSelect.value = paperLandscape ? "landscape" : "portrait";
+    if (sheetTitle) sheetTitle.textContent = `Print Sheet Preview (${paperLabelShort()})`;
+    updateQtyLimits();
+  }
+
+  function onPaperChanged() {
+    try {
+      localStorage.setItem(STORAGE.paper, activePaper.id);
+      localStorage.setItem(STORAGE.paperOrient, paperLandscape ? "landscape" : "portrait");
+    } catch {
+      // ignore
+    }
+    if (hasOutput) normalizeQtyInInput();
+    refreshSheet();
+  }
+
+  function setSheetLayout(next) {
+    const num = (v, fallback, { min, max }) => {
+      const n = Number(v);
+      return Number.isFinite(n) ? clamp(n, min, max) : fallback;
+    };
+    sheetLayout = {
+      marginMm: num(next?.marginMm, SHEET_LAYOUT.marginMm, SHEET_LAYOUT_LIMITS.marginMm),
+      gapMm: num(next?.gapMm, SHEET_LAYOUT.gapMm, SHEET_LAYOUT_LIMITS.gapMm),
+      rotate: typeof next?.rotate === "boolean" ? next.rotate : SHEET_LAYOUT.rotate,
+      cutMarks: typeof next?.cutMarks === "boolean" ? next.cutMarks : SHEET_LAYOUT.cutMarks,
+      bleedMm: num(next?.bleedMm, SHEET_LAYOUT.bleedMm, SHEET_LAYOUT_LIMITS.bleedMm),
+      captions: ["off", "photo", "sheet"].includes(next?.captions) ? next.captions : SHEET_LAYOUT.captions,
+      ruler: typeof next?.ruler === "boolean" ? next.ruler : SHEET_LAYOUT.ruler,
+    };
+    if (sheetMarginInput) sheetMarginInput.value = String(sheetLayout.marginMm);
+    if (sheetGapInput) sheetGapInput.value = String(sheetLayout.gapMm);
+    if (sheetRotateToggle) sheetRotateToggle.checked = sheetLayout.rotate;
+    if (sheetCutMarksToggle) sheetCutMarksToggle.checked = sheetLayout.cutMarks;
+    if (sheetBleedInput) sheetBleedInput.value = String(sheetLayout.bleedMm);
+    if (sheetCaptionsSelect) sheetCaptionsSelect.value = sheetLayout.captions;
+    if (sheetRulerToggle) sheetRulerToggle.checked = sheetLayout.ruler;
+    updateQtyLimits();
+  }
+
+  function onSheetLayoutChanged() {
+    setSheetLayout({
+      marginMm: sheetMarginInput?.value,
+      gapMm: sheetGapInput?.value,
+      rotate: !!sheetRotateToggle?.checked,
+      cutMarks: !!sheetCutMarksToggle?.checked,
+      bleedMm: sheetBleedInput?.value,
+      captions: sheetCaptionsSelect?.value,
+      ruler: !!sheetRulerToggle?.checked,
+    });
+    try {
+      localStorage.setItem(STORAGE.sheetLayout, JSON.stringify(sheetLayout));
+    } catch {
+      // ignore
+    }
+    if (hasOutput) normalizeQtyInInput();
+    refreshSheet();
+  }
+
+  // Kept photos are immutable snapshots: an id per canvas is enough to tell them apart.
+  const canvasIds = new WeakMap();
+  let canvasIdSeq = 0;
+  function sheetStageKey(entries) {
+    const idOf = (c) => {
+      if (c === photoCanvas) return `photo@${photoVersion}`;
+      if (!canvasIds.has(c)) canvasIds.set(c, ++canvasIdSeq);
+      return canvasIds.get(c);
+    };
+    const parts = entries.map((e) => `${idOf(e.canvas)}:${e.spec.id}:${e.qty}:${e.name}`);
+    // The date is part of captions.
+    const page = `${activePaper.id}:${paperLandscape}:${sheetPage}:${new Date().toDateString()}`;
+    return `${page}|${JSON.stringify(sheetLayout)}|${parts.join(",")}`;
+  }
+
+  function clearSheetPreview() {
+    sheetRenderKey = "";
+    const sctx = sheetCanvasPreview.getContext("2d");
+    sctx.fillStyle = "#ffffff";
+    sctx.fillRect(0, 0, sheetCanvasPreview.width, sheetCanvasPreview.height);
+  }
+
+  function renderSheetAll() {
+    const entries = sheetEntries();
+    if (!entries) return null;
+    const layout = layoutPages(entries);
+    const pageCount = layout.pages.length;
+    sheetPage = clamp(sheetPage, 0, Math.max(0, pageCount - 1));
+    const page = layout.pages[sheetPage] || [];
+    // Sheet stage: skip the re-render when nothing it depends on changed.
+    const key = sheetStageKey(entries);
+    if (key !== sheetRenderKey) {
+      sheetRenderKey = key;
+      const pW = sheetCanvasPreview.width;
+      const pH = sheetCanvasPreview.height;
+      renderSheet(sheetCanvasPreview, pW, pH, page);
+    }
+
+    if (sheetPager) sheetPager.classList.toggle("hidden", pageCount < 2);
+    if (sheetPageLabel) sheetPageLabel.textContent = `Page ${sheetPage + 1} of ${pageCount}`;
+    if (btnPagePrev) enable(btnPagePrev, sheetPage > 0);
+    if (btnPageNext) enable(btnPageNext, sheetPage < pageCount - 1);
+
+    const perPage = currentOnSheet() ? ` (${maxQtyForSheet()} per page)` : "";
+    const pages = pageCount > 1 ? ` • ${pageCount} pages` : "";
+    const overflow = layout.overflow ? ` • ${layout.overflow} don't fit` : "";
+    const waste = ` • unused paper ${Math.round(layout.wasteFrac * 100)}% (${Math.round(layout.wasteMm2 / 100)}cm²)`;
+    sheetMeta.textContent = `${paperLabelShort()} ${fmtMm(sheetMm.w)}×${fmtMm(sheetMm.h)}mm • ${sheetPx.w}×${sheetPx.h}px @ ${SHEET_DPI}DPI • ${sheetContentsText(entries)}${perPage}${pages}${overflow}${waste}`;
+    return layout;
+  }
+
+  // --- Download helpers ---
+  function downloadDataUrl(dataUrl, filename) {
+    const a = document.createElement("a");
+    a.href = dataUrl;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    downloadDataUrl(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) =>
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("Encoding failed"))), type, quality),
+    );
+  }
+
+  // --- Print metadata (DPI + sRGB) ---
+  // Canvas encoders write no physical density and no color profile, so labs and printer drivers
+  // guess (often 72 or 96 DPI → wrong print size). Exported JPEGs get a JFIF + EXIF density and
+  // an embedded sRGB ICC profile; PNGs get pHYs + sRGB chunks; PDFs an sRGB output intent.
+  const SRGB_ICC_DESC = "sRGB IEC61966-2.1";
+  let srgbIcc = null;
+
+  function srgbIccProfile() {
+    // Minimal ICC v2 display profile: D50-adapted sRGB primaries and the sRGB tone curve (table).
+    if (srgbIcc) return srgbIcc;
+    const bytes = [];
+    const u8 = (...v) => bytes.push(...v);
+    const u16 = (v) => u8((v >>> 8) & 255, v & 255);
+    const u32 = (v) => u8((v >>> 24) & 255, (v >>> 16) & 255, (v >>> 8) & 255, v & 255);
+    const ascii = (t) => u8(...Array.from(t, (c) => c.charCodeAt(0)));
+    const s15 = (v) => u32(Math.round(v * 65536));
+    const take = () => {
+      while (bytes.length % 4) u8(0);
+      return bytes.splice(0);
+    };
+
+    const tag = (type, fill) => {
+      ascii(type);
+      u32(0);
+      fill();
+      return take();
+    };
+    const xyz = (x, y, z) => tag("XYZ ", () => [x, y, z].forEach(s15));
+    const desc = tag("desc", () => {
+      u32(SRGB_ICC_DESC.length + 1);
+      ascii(SRGB_ICC_DESC);
+      u8(0);
+      u32(0); // Unicode language code + count
+      u32(0);
+      u16(0); // ScriptCode code + count + 67-byte field
+      u8(0);
+      u8(...new Array(67).fill(0));
+    });
+    const cprt = tag("text", () => {
+      ascii("No copyright, use freely");
+      u8(0);
+    });
+    const trc = tag("curv", () => {
+      const n = 1024;
+      u32(n);
+      for (let i = 0; i < n; i++) {
+        const v = i / (n - 1);
+        u16(Math.round(65535 * (v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4)));
+      }
+    });
+    const tags = [
+      ["desc", desc],
+      ["cprt", cprt],
+      ["wtpt", xyz(0.9642, 1, 0.8249)],
+      ["rXYZ", xyz(0.4360747, 0.2225045, 0.0139322)],
+      ["gXYZ", xyz(0.3850649, 0.7168786, 0.0971045)],
+      ["bXYZ", xyz(0.1430804, 0.0606169, 0.7141733)],
+      ["rTRC", trc],
+      ["gTRC", trc],
+      ["bTRC", trc],
+    ];
+
+    // Tag data follows the 128-byte header and the tag table; the three TRCs share one body.
+    const offsets = new Map();
+    let size = 128 + 4 + tags.length * 12;
+    for (const [, body] of tags) {
+      if (offsets.has(body)) continue;
+      offsets.set(body, size);
+      size += body.length;
+    }
+
+    u32(size);
+    u32(0); // preferred CMM
+    u32(0x02100000); // version 2.1
+    ascii("mntrRGB XYZ ");
+    [2024, 1, 1, 0, 0, 0].forEach(u16); // creation date
+    ascii("acsp");
+    u8(...new Array(24).fill(0)); // platform, flags, manufacturer, model, attributes
+    u32(0); // rendering intent: perceptual
+    [0.9642, 1, 0.8249].forEach(s15); // PCS illuminant (D50)
+    u8(...new Array(128 - bytes.length).fill(0));
+    u32(tags.length);
+    for (const [sig, body] of tags) {
+      ascii(sig);
+      u32(offsets.get(body));
+      u32(body.length);
+    }
+
+    const out = new Uint8Array(size);
+    out.set(bytes, 0);
+    for (const [body, at] of offsets) out.set(body, at);
+    srgbIcc = out;
+    return out;
+  }
+
+  function jpegSegment(marker, payload) {
+    const seg = new Uint8Array(4 + payload.length);
+    seg[0] = 0xff;
+    seg[1] = marker;
+    seg[2] = ((payload.length + 2) >>> 8) & 255;
+    seg[3] = (payload.length + 2) & 255;
+    seg.set(payload, 4);
+    return seg;
+  }
+
+  function exifDensity(dpi) {
+    // Big-endian TIFF: IFD0 {XResolution, YResolution, ResolutionUnit=inch, ExifIFD} →
+    // Exif IFD {ColorSpace=sRGB}.
+    const tiff = new DataView(new ArrayBuffer(96));
+    tiff.setUint16(0, 0x4d4d);
+    tiff.setUint16(2, 42);
+    tiff.setUint32(4, 8);
+    const entry = (at, tag, type, count, value) => {
+      tiff.setUint16(at, tag);
+      tiff.setUint16(at + 2, type);
+      tiff.setUint32(at + 4, count);
+      if (type === 3) tiff.setUint16(at + 8, value);
+      else tiff.setUint32(at + 8, value);
+    };
+    tiff.setUint16(8, 4);
+    entry(10, 0x011a, 5, 1, 62);
+    entry(22, 0x011b, 5, 1, 70);
+    entry(34, 0x0128, 3, 1, 2);
+    entry(46, 0x8769, 4, 1, 78);
+    tiff.setUint32(58, 0);
+    tiff.setUint32(62, Math.round(dpi));
+    tiff.setUint32(66, 1);
+    tiff.setUint32(70, Math.round(dpi));
+    tiff.setUint32(74, 1);
+    tiff.setUint16(78, 1);
+    entry(80, 0xa001, 3, 1, 1);
+    tiff.setUint32(92, 0);
+    const payload = new Uint8Array(6 + 96);
+    payload.set([0x45, 0x78, 0x69, 0x66, 0, 0], 0); // "Exif\0\0"
+    payload.set(new Uint8Array(tiff.buffer), 6);
+    return payload;
+  }
+
+  async function jpegWithPrintMetadata(blob, dpi) {
+    // SOI, JFIF (density in DPI), EXIF (density + sRGB), ICC_PROFILE, then the encoder's data.
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return blob;
+    const d = Math.round(dpi);
+    let rest = 2;
+    let jfif;
+    if (bytes[2] === 0xff && bytes[3] === 0xe0 && String.fromCharCode(...bytes.subarray(6, 10)) === "JFIF") {
+      rest = 4 + ((bytes[4] << 8) | bytes[5]);
+      jfif = bytes.slice(2, rest);
+    } else {
+      jfif = jpegSegment(0xe0, new Uint8Array([0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]));
+    }
+    jfif[11] = 1; // units: dots per inch
+    jfif[12] = (d >>> 8) & 255;
+    jfif[13] = d & 255;
+    jfif[14] = (d >>> 8) & 255;
+    jfif[15] = d & 255;
+
+    const icc = srgbIccProfile();
+    const iccPayload = new Uint8Array(14 + icc.length);
+    iccPayload.set(Array.from("ICC_PROFILE", (c) => c.charCodeAt(0)), 0);
+    iccPayload.set([0, 1, 1], 11); // NUL, chunk 1 of 1
+    iccPayload.set(icc, 14);
+
+    return new Blob(
+      [bytes.subarray(0, 2), jfif, jpegSegment(0xe1, exifDensity(d)), jpegSegment(0xe2, iccPayload), bytes.subarray(rest)],
+      { type: "image/jpeg" },
+    );
+  }
+
+  let crcTable = null;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let c = 0xffffffff;
+    for (const b of bytes) c = crcTable[(c ^ b) & 255] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  function pngChunk(type, data) {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    out.set(Array.from(type, (c) => c.charCodeAt(0)), 4);
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+  }
+
+  async function pngWithPrintMetadata(blob, dpi) {
+    // pHYs (pixels per metre) + sRGB (perceptual) right after IHDR, unless already present.
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const types = new Set();
+    for (let at = 8; at + 8 <= bytes.length; at += 12 + view.getUint32(at)) {
+      types.add(String.fromCharCode(...bytes.subarray(at + 4, at + 8)));
+    }
+    const ihdrEnd = 8 + 12 + view.getUint32(8);
+    const add = [];
+    if (!types.has("pHYs")) {
+      const ppm = Math.round((dpi / MM_PER_INCH) * 1000);
+      const phys = new DataView(new ArrayBuffer(9));
+      phys.setUint32(0, ppm);
+      phys.setUint32(4, ppm);
+      phys.setUint8(8, 1); // unit: metre
+      add.push(pngChunk("pHYs", new Uint8Array(phys.buffer)));
+    }
+    if (!types.has("sRGB") && !types.has("iCCP")) add.push(pngChunk("sRGB", new Uint8Array([0])));
+    if (!add.length) return blob;
+    return new Blob([bytes.subarray(0, ihdrEnd), ...add, bytes.subarray(ihdrEnd)], { type: "image/png" });
+  }
+
+  async function encodeJpeg(canvas, quality, dpi, { signal } = {}) {
+    return jpegWithPrintMetadata(await encodeCanvas(canvas, "image/jpeg", quality, { signal }), dpi);
+  }
+
+  function addPdfOutputIntent(pdf) {
+    // sRGB output intent (as used by PDF/A): tells RIPs and print dialogs how to read the RGB
+    // images instead of leaving them device-dependent.
+    let intentId = 0;
+    pdf.internal.events.subscribe("putResources", () => {
+      const icc = srgbIccProfile();
+      const hex = Array.from(icc, (b) => b.toString(16).padStart(2, "0")).join("") + ">";
+      const iccId = pdf.internal.newObject();
+      pdf.internal.write(`<< /N 3 /Filter /ASCIIHexDecode /Length ${hex.length} >>`);
+      pdf.internal.write("stream");
+      pdf.internal.write(hex);
+      pdf.internal.write("endstream");
+      pdf.internal.write("endobj");
+      intentId = pdf.internal.newObject();
+      pdf.internal.write(
+        `<< /Type /OutputIntent /S /GTS_PDFA1 /OutputConditionIdentifier (${SRGB_ICC_DESC}) ` +
+          `/Info (${SRGB_ICC_DESC}) /RegistryName (http://www.color.org) /DestOutputProfile ${iccId} 0 R >>`,
+      );
+      pdf.internal.write("endobj");
+    });
+    pdf.internal.events.subscribe("putCatalog", () => {
+      if (intentId) pdf.internal.write(`/OutputIntents [${intentId} 0 R]`);
+    });
+  }
+
+  function zipStore(files) {
+    // Uncompressed ("stored") ZIP: the entries are JPEGs, which would not shrink anyway.
+    const enc = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const { name, bytes } of files) {
+      const nameBytes = enc.encode(name);
+      const crc = crc32(bytes);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, bytes.length, true);
+      local.setUint32(22, bytes.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      parts.push(local, nameBytes, bytes);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, bytes.length, true);
+      entry.setUint32(24, bytes.length, true);
+      entry.setUint16(28, nameBytes.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry, nameBytes);
+      offset += 30 + nameBytes.length + bytes.length;
+    }
+    const centralSize = central.reduce((n, part) => n + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: "application/zip" });
+  }
+
+  function renderSheetForExport() {
+    if (currentOnSheet()) normalizeQtyInInput();
+    return renderSheetAll();
+  }
+
+  async function runExport(task) {
+    // One sheet export at a time, with a progress bar and Cancel. task(signal, setProgress 0..1).
+    if (exportAbort) return;
+    const ctrl = new AbortController();
+    exportAbort = ctrl;
+    enable(btnDownloadJpg, false);
+    enable(btnDownloadPdf, false);
+    if (exportProgress) exportProgress.value = 0;
+    exportProgressRow?.classList.remove("hidden");
+    try {
+      await task(ctrl.signal, (frac) => {
+        if (exportProgress) exportProgress.value = frac;
+      });
+    } catch (e) {
+      if (ctrl.signal.aborted) setValidation("Export cancelled.", "warn");
+      else setValidation(`Export failed: ${e?.message || e || "Unknown error"}`, "bad");
+    } finally {
+      exportAbort = null;
+      exportProgressRow?.classList.add("hidden");
+      // The sheet may have been emptied meanwhile (Retake, Clear): buttons follow its contents.
+      refreshSheet();
+    }
+  }
+
+  async function exportJpg() {
+    // One JPG per page, rendered off the main thread and tagged SHEET_DPI + sRGB. Several pages
+    // go out as one ZIP: browsers block or prompt for back-to-back downloads.
+    const layout = renderSheetForExport();
+    if (!layout) return;
+    const base = `passport_sheet_${nowStamp()}_x${layout.pages.reduce((n, page) => n + page.length, 0)}`;
+    const n = layout.pages.length;
+    await runExport(async (signal, setProgress) => {
+      const files = [];
+      for (const [i, page] of layout.pages.entries()) {
+        const onProgress = (frac) => setProgress((i + frac) / n);
+        const blob = await jpegWithPrintMetadata(await renderSheetBlob(page, { signal, onProgress }), SHEET_DPI);
+        if (n === 1) {
+          downloadBlob(blob, `${base}.jpg`);
+          return;
+        }
+        files.push({ name: `${base}_p${i + 1}.jpg`, bytes: new Uint8Array(await blob.arrayBuffer()) });
+      }
+      downloadBlob(zipStore(files), `${base}.zip`);
+    });
+  }
+
+  async function exportPdf() {
+    // Vector PDF: each photo is embedded once at its full PHOTO_DPI resolution and placed at
+    // exact mm; crop marks, ruler and captions are PDF lines and text.
+    const layout = renderSheetForExport();
+    if (!layout) return;
+    const total = layout.pages.reduce((n, page) => n + page.length, 0);
+    const name = `passport_sheet_${nowStamp()}_x${total}.pdf`;
+    await runExport((signal, setProgress) => buildSheetPdf(layout, name, { signal, setProgress }));
+  }
+
+  async function buildSheetPdf(layout, name, { signal, setProgress }) {
+    // The photo JPEGs are encoded in the pixel worker; jsPDF assembles the document here on the
+    // main thread (lines, text and the already-encoded bytes).
+    const { jsPDF } = window.jspdf;
+    const orientation = paperLandscape ? "landscape" : "portrait";
+    const format = [activePaper.mm.w, activePaper.mm.h];
+    const pdf = new jsPDF({ orientation, unit: "mm", format });
+    addPdfOutputIntent(pdf);
+    const entries = [...new Set(layout.pages.flat().map((p) => p.entry))];
+    pdf.setProperties({
+      title: `Passport photo sheet (${paperLabelShort()})`,
+      subject: entries.map((e) => `${e.spec.label}${e.name ? ` – ${e.name}` : ""} ×${e.qty}`).join("; "),
+      keywords: [...new Set(entries.map((e) => e.spec.id))].join(", "),
+      creator: document.title || "Passport photo",
+    });
+
+    // JPEG bytes per (photo, orientation), encoded once (in the pixel worker) and reused by alias.
+    const keyOf = (p) => `${entries.indexOf(p.entry)}:${p.rotated ? "r" : "u"}`;
+    const wanted = new Map(layout.pages.flat().map((p) => [keyOf(p), p]));
+    const images = new Map();
+    for (const [key, p] of wanted) {
+      let img = photoWithBleed(p.entry);
+      if (p.rotated) {
+        const r = document.createElement("canvas");
+        r.width = img.height;
+        r.height = img.width;
+        const rctx = r.getContext("2d");
+        rctx.translate(r.width, 0);
+        rctx.rotate(Math.PI / 2);
+        rctx.drawImage(img, 0, 0);
+        img = r;
+      }
+      const blob = await encodeCanvas(img, "image/jpeg", 0.95, { signal });
+      images.set(key, new Uint8Array(await blob.arrayBuffer()));
+      setProgress(images.size / wanted.size);
+    }
+
+    pdf.setLineWidth(0.12);
+    pdf.setDrawColor(0, 0, 0);
+    layout.pages.forEach((page, i) => {
+      if (i > 0) pdf.addPage(format, orientation);
+      for (const p of page) {
+        const { w, h } = p.entry.spec.mm;
+        const b = sheetLayout.bleedMm;
+        const toSheet = cellToSheet(p);
+        const [ax, ay] = toSheet(-b, -b);
+        const [bx, by] = toSheet(w + b, h + b);
+        const key = keyOf(p);
+        pdf.addImage(images.get(key), "JPEG", Math.min(ax, bx), Math.min(ay, by), Math.abs(bx - ax), Math.abs(by - ay), `photo-${key}`, "FAST");
+
+        const { marks, caption } = cellDecor(p.entry);
+        for (const [x1, y1, x2, y2] of marks) {
+          const [sx1, sy1] = toSheet(x1, y1);
+          const [sx2, sy2] = toSheet(x2, y2);
+          pdf.line(sx1, sy1, sx2, sy2);
+        }
+        if (!marks.length && b === 0) {
+          pdf.setDrawColor(200, 200, 200);
+          const [ox, oy] = toSheet(0, 0);
+          const [ex, ey] = toSheet(w, h);
+          pdf.rect(Math.min(ox, ex), Math.min(oy, ey), Math.abs(ex - ox), Math.abs(ey - oy));
+          pdf.setDrawColor(0, 0, 0);
+        }
+        if (caption) {
+          pdfFitText(pdf, caption.fontMm, caption.text, caption.maxW);
+          const tw = pdf.getTextWidth(caption.text);
+          const [tx, ty] = toSheet(caption.x - tw / 2, caption.y);
+          pdf.text(caption.text, tx, ty, p.rotated ? { angle: -90 } : undefined);
+        }
+      }
+
+      const band = bandDecor(page);
+      for (const [x1, y1, x2, y2] of band.lines) pdf.line(x1, y1, x2, y2);
+      for (const t of band.texts) {
+        pdfFitText(pdf, band.fontMm, t.text, t.maxW);
+        pdf.text(t.text, t.x, t.y);
+      }
+    });
+    pdf.save(name);
+  }
+
+  // --- Digital export ---
+  // Single-file upload for online portals: the spec's exact pixel size and KB window. Print-only
+  // specs fall back to the print crop at PHOTO_DPI with no size limit.
+  function digitalTarget(spec = activeSpec) {
+    // dpi: the density that prints the file at the document's physical size.
+    if (spec.digital) return { ...spec.digital, dpi: spec.digital.w / (spec.mm.w / MM_PER_INCH), printOnly: false };
+    return { w: photoPx.w, h: photoPx.h, minKb: 0, maxKb: Infinity, dpi: PHOTO_DPI, printOnly: true };
+  }
+
+  function renderDigitalCanvas(target) {
+    // Resample photoCanvas to exactly w×h. When the aspect differs from the print crop, trim
+    // the excess (cover) rather than stretching the face: the width evenly, the height so the
+    // eye line keeps the print target's share of the height, without cutting off the crown.
+    const src = photoCanvas;
+    const { width: W, height: H } = src;
+    const { mm } = activeSpec;
+    const scale = Math.max(target.w / W, target.h / H);
+    const sw = target.w / scale;
+    const sh = target.h / scale;
+    const sx = (W - sw) / 2;
+    let sy = (H - sh) / 2;
+    const m = lastCropMeasure;
+    const pxPerMm = H / mm.h;
+    const eyeY = m && (mm.h - m.eyeMm) * pxPerMm;
+    const crownY = m && m.crownMm * pxPerMm;
+    if (m) {
+      const eyeShare = specTargetsMm(activeSpec).eyeFromTopMm / mm.h;
+      sy = clamp(Math.min(eyeY - sh * eyeShare, Math.max(crownY, 0)), 0, H - sh);
+    }
+    const out = document.createElement("canvas");
+    out.width = target.w;
+    out.height = target.h;
+    const ctx = out.getContext("2d");
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(src, sx, sy, sw, sh, 0, 0, target.w, target.h);
+    const trim = { w: 1 - sw / W, h: 1 - sh / H };
+    // The file prints at the document's width (see digitalTarget), so its mm scale follows sw.
+    const mmPerPx = mm.w / sw;
+    const measured = m && {
+      headMm: (m.headMm * W) / sw,
+      eyeMm: (sy + sh - eyeY) * mmPerPx,
+      crownMm: (crownY - sy) * mmPerPx,
+      heightMm: sh * mmPerPx,
+    };
+    return { canvas: out, trim, measured };
+  }
+
+  function digitalGeometryText(measured) {
+    // Head size against the spec; the eye line against the spec range scaled to the file's height.
+    if (!measured) return { text: "head and eye line not measured (no face data)", ok: true };
+    const { headMm, eyeMm } = activeSpec;
+    const k = measured.heightMm / activeSpec.mm.h;
+    const eyeRange = { min: eyeMm.min * k, max: eyeMm.max * k };
+    const inRange = (v, r) => v >= r.min && v <= r.max;
+    const headOk = inRange(measured.headMm, headMm);
+    const eyeOk = inRange(measured.eyeMm, eyeRange);
+    const crownOk = measured.crownMm >= 0;
+    const text =
+      `head ${fmtMm(measured.headMm)}mm ${headOk ? "✓" : "✗"} • ` +
+      `eyes ${fmtMm(measured.eyeMm)}mm (${fmtMm(eyeRange.min)}–${fmtMm(eyeRange.max)}) ${eyeOk ? "✓" : "✗"}` +
+      (crownOk ? "" : " • top of head cut off ✗");
+    return { text, ok: headOk && eyeOk && crownOk };
+  }
+
+  async function encodeDigitalJpeg(canvas, target) {
+    // Highest quality whose size is ≤ maxKb; if even the best quality is under minKb, try 100%.
+    // Sizes include the density/ICC metadata, i.e. they are the sizes of the downloaded file.
+    // The pixel size is fixed by the portal, so a file still over maxKb at the lowest quality is
+    // an error rather than a download that breaks the rule.
+    const maxBytes = target.maxKb * 1024;
+    const minBytes = target.minKb * 1024;
+    let best = { blob: await encodeJpeg(canvas, DIGITAL_JPEG.max, target.dpi), quality: DIGITAL_JPEG.max };
+    if (best.blob.size > maxBytes) {
+      let lo = DIGITAL_JPEG.min;
+      let hi = DIGITAL_JPEG.max;
+      best = { blob: await encodeJpeg(canvas, lo, target.dpi), quality: lo };
+      if (best.blob.size > maxBytes) {
+        const kb = Math.ceil(best.blob.size / 1024);
+        throw new Error(
+          `even at ${Math.round(lo * 100)}% quality the JPEG is ${kb} KB, over the ${target.maxKb} KB limit.`,
+        );
+      }
+      for (let i = 0; i < DIGITAL_JPEG.steps; i++) {
+        const q = (lo + hi) / 2;
+        const blob = await encodeJpeg(canvas, q, target.dpi);
+        if (blob.size <= maxBytes) {
+          best = { blob, quality: q };
+          lo = q;
+        } else {
+          hi = q;
+        }
+      }
+    } else if (best.blob.size < minBytes) {
+      const blob = await encodeJpeg(canvas, 1, target.dpi);
+      if (blob.size <= maxBytes) best = { blob, quality: 1 };
+    }
+    return best;
+  }
+
+  function digitalSummaryText({ format, target, blob, quality, trim, measured }) {
+    const kb = blob.size / 1024;
+    const sizeOk = kb >= target.minKb && kb <= target.maxKb;
+    const parts = [
+      `${format.toUpperCase()} ${target.w}×${target.h}px`,
+      `${kb.toFixed(kb < 10 ? 1 : 0)} KB`,
+      `${Math.round(target.dpi)} DPI, sRGB`,
+    ];
+    if (target.printOnly) parts.push(`no online size rule for ${specShortName(activeSpec)}`);
+    else parts.push(`allowed ${target.minKb}–${target.maxKb} KB ${sizeOk ? "✓" : "✗"}`);
+    if (quality != null) parts.push(`quality ${Math.round(quality * 100)}%`);
+    const trimmed = Math.max(trim.w, trim.h);
+    if (trimmed > 0.005) {
+      parts.push(`${Math.round(trimmed * 100)}% of the ${trim.w > trim.h ? "width" : "height"} trimmed to fit`);
+    }
+    const geometry = digitalGeometryText(measured);
+    parts.push(geometry.text);
+    if (format === "png" && !target.printOnly) parts.push("most portals expect JPEG");
+    return { text: parts.join(" • "), ok: sizeOk && geometry.ok };
+  }
+
+  async function exportDigital() {
+    if (!hasFinishedPhoto()) return;
+    const format = digitalFormatSelect?.value === "png" ? "png" : "jpeg";
+    const target = digitalTarget();
+    enable(btnDownloadDigital, false);
+    try {
+      const { canvas, trim, measured } = renderDigitalCanvas(target);
+      const { blob, quality } =
+        format === "png"
+          ? { blob: await pngWithPrintMetadata(await canvasToBlob(canvas, "image/png"), target.dpi), quality: null }
+          : await encodeDigitalJpeg(canvas, target);
+      const summary = digitalSummaryText({ format, target, blob, quality, trim, measured });
+      if (digitalSummary) {
+        digitalSummary.textContent = summary.text;
+        digitalSummary.dataset.state = summary.ok ? "ok" : "bad";
+      }
+      const ext = format === "png" ? "png" : "jpg";
+      downloadBlob(blob, `passport_digital_${activeSpec.id}_${target.w}x${target.h}_${nowStamp()}.${ext}`);
+    } catch (e) {
+      if (digitalSummary) {
+        digitalSummary.textContent = `Digital export failed: ${e?.message || e || "Unknown error"}`;
+        digitalSummary.dataset.state = "bad";
+      }
+    } finally {
+      enable(btnDownloadDigital, hasFinishedPhoto());
+    }
+  }
+
+  function pdfFitText(pdf, fontMm, text, maxW) {
+    // Font size in pt from mm, shrunk so the line fits maxW (like canvas fillText's maxWidth).
+    pdf.setFontSize(fontMm * PT_PER_MM);
+    pdf.setTextColor(51, 51, 51);
+    const tw = pdf.getTextWidth(text);
+    if (tw > maxW) pdf.setFontSize((fontMm * PT_PER_MM * maxW) / tw);
+  }
+
+  // --- Batch ---
+  // Many uploads (e.g. a school class) through the same pipeline as a single upload, without
+  // touching the current photo. Failed items can be opened in the editor above, fixed (or
+  // retaken), and the current photo put back with "Use current".
+  function addBatchFiles(fileList) {
+    const files = Array.from(fileList || []).filter((f) => f.type.startsWith("image/"));
+    for (const file of files) {
+      batchItems.push({
+        id: ++batchItemSeq,
+        file,
+        name: file.name.replace(/\.[^.]+$/, ""),
+        status: "queued",
+        issue: "",
+        photo: null,
+        spec: null,
+        thumb: "",
+      });
+    }
+    renderBatchList();
+    if (files.length) void runBatch();
+  }
+
+  function setBatchItemResult(item, photo, spec, issue) {
+    item.photo = photo;
+    item.spec = spec;
+    item.status = "done";
+    item.issue = issue;
+    const t = document.createElement("canvas");
+    t.width = 96;
+    t.height = Math.round((96 * photo.height) / photo.width);
+    t.getContext("2d").drawImage(photo, 0, 0, t.width, t.height);
+    item.thumb = t.toDataURL("image/jpeg", 0.8);
+  }
+
+  async function processBatchItem(item, settings, signal) {
+    // settings: engine, bgHex and enhance as snapshotted when the run started (see runBatch).
+    const fail = (issue) => {
+      item.status = "failed";
+      item.issue = issue;
+    };
+    const src = document.createElement("canvas");
+    try {
+      await loadFileIntoCanvas(item.file, src);
+    } catch {
+      fail("File: could not read this image.");
+      return;
+    }
+
+    const bb = await detectNormFaceBox(src);
+    const v = validateFromNormBox(bb);
+    if (!v.ok) {
+      fail(`Face: ${v.msg}`);
+      return;
+    }
+    const { crop, canvas: raw, quality } = cutFromSource(src, bb);
+    if (quality.bad.length) {
+      fail(`Quality: ${quality.bad.join(" ")}`);
+      return;
+    }
+
+    let cutout;
+    try {
+      cutout =
+        settings.engine === "local"
+          ? await removeBackgroundLocal(raw)
+          : await removeBackgroundStudioRemoveBg(raw, { signal });
+    } catch (e) {
+      if (signal.aborted) throw e;
+      fail(`Background: ${e?.message || e || "Unknown error"}`);
+      return;
+    }
+    // Same stages as finishedPhoto (uncached): tone on the person, composite, sharpen.
+    const adj = resolveEnhance(raw, cutout, crop, settings.enhance);
+    const toned = copyCanvas(cutout);
+    await enhanceCanvas(toned, { tone: adj, signal });
+    const photo = document.createElement("canvas");
+    photo.width = raw.width;
+    photo.height = raw.height;
+    compositeOnto(photo.getContext("2d", { willReadFrequently: true }), toned, settings.bgHex);
+    await enhanceCanvas(photo, { sharpen: adj.sharpen, signal });
+    setBatchItemResult(item, photo, activeSpec, quality.warn.length ? `Check: ${quality.warn.join(" ")}` : "");
+  }
+
+  async function runBatch() {
+    // One queue runner at a time; files added while it runs are picked up by the same loop.
+    if (batchAbort) return;
+    const ctrl = new AbortController();
+    batchAbort = ctrl;
+    // One engine, colour and look for the whole run (the controls are locked until it ends).
+    const settings = { engine: getBgEngine(), bgHex: getBackgroundColorHex(), enhance: { ...enhanceSettings } };
+    // The queue shares the face detector and background model with the camera and single uploads.
+    stopCamera();
+    enable(btnStart, false);
+    enable(btnUpload, false);
+    updateBatchUi();
+    try {
+      await initModelsOnce();
+      for (const item of batchItems) {
+        if (ctrl.signal.aborted) break;
+        if (item.status !== "queued") continue;
+        item.status = "working";
+        renderBatchList();
+        try {
+          await processBatchItem(item, settings, ctrl.signal);
+        } catch (e) {
+          if (ctrl.signal.aborted) {
+            item.status = "queued";
+            break;
+          }
+          item.status = "failed";
+          item.issue = `Error: ${e?.message || e || "Unknown error"}`;
+        }
+        renderBatchList();
+      }
+    } catch (e) {
+      setValidation(`Batch stopped: ${e?.message || e || "Unknown error"}`, "bad");
+    } finally {
+      if (batchAbort === ctrl) batchAbort = null;
+      enable(btnStart, true);
+      enable(btnUpload, true);
+      renderBatchList();
+    }
+  }
+
+  function batchCounts() {
+    const counts = { queued: 0, working: 0, done: 0, failed: 0 };
+    for (const item of batchItems) counts[item.status]++;
+    return counts;
   }
 
-  async function processSourceCanvas(srcCanvas) {
-    const srcW = srcCanvas.width;
-    const srcH = srcCanvas.height;
+  function updateBatchUi() {
+    const running = !!batchAbort;
+    const c = batchCounts();
+    // The queue uses the active document's size and the background settings it started with;
+    // changing them mid-run would mix sizes, engines or colours in one download.
+    const locked = [specSelect, bgEngineSelect, removebgModeSelect, removebgKey, removebgProxyUrl];
+    for (const el of locked) if (el) el.disabled = running;
+    bgColorOpts?.querySelectorAll("input").forEach((input) => (input.disabled = running));
+    btnBatchCancel?.classList.toggle("hidden", !running);
+    if (btnBatchRetry) enable(btnBatchRetry, !running && c.failed > 0);
+    if (btnBatchClear) enable(btnBatchClear, !running && batchItems.length > 0);
+    if (btnBatchZip) enable(btnBatchZip, !running && c.done > 0);
+    if (batchMeta) {
+      batchMeta.textContent = batchItems.length
+        ? `${batchItems.length} photos • ${c.done} done • ${c.failed} failed • ${c.queued + c.working} to process`
+        : "No photos queued.";
+    }
+  }
 
-    // Detect face (required for correct crop)
-    let bb;
-    try {
-      bb = await detectNormFaceBox(srcCanvas);
-    } catch (e) {
-      if (faceMode === "mediapipe" && isMpAbortError(e)) {
-        mpFaceBroken = true;
-        await ensureFaceFallbackReady();
-        bb = await detectNormFaceBox(srcCanvas);
-      } else {
-        throw e;
+  function renderBatchList() {
+    updateBatchUi();
+    if (!batchList) return;
+    const running = !!batchAbort;
+    const states = { queued: "Queued", working: "Processing…", done: "Done", failed: "Failed" };
+    batchList.innerHTML = "";
+    for (const item of batchItems) {
+      const card = document.createElement("div");
+      card.className = "batchItem";
+      card.dataset.id = String(item.id);
+      card.dataset.status = item.status;
+
+      const thumb = document.createElement("div");
+      thumb.className = "batchItem__thumb";
+      if (item.thumb) {
+        const img = document.createElement("img");
+        img.alt = "";
+        img.src = item.thumb;
+        thumb.appendChild(img);
       }
-    }
 
-    const v = validateFromNormBox(bb);
-    if (!v.ok) {
-      setValidation(`Blocked: ${v.msg}`, v.kind === "warn" ? "warn" : "bad");
-      // Resume live validation only if camera is running
-      if (stream && !detectionTimer) detectionTimer = setInterval(() => void validateLive(), 240);
-      return;
+      const name = document.createElement("input");
+      name.className = "input input--name";
+      name.type = "text";
+      name.value = item.name;
+      name.dataset.role = "name";
+      name.setAttribute("aria-label", `Name for ${item.file.name}`);
+
+      const status = document.createElement("div");
+      status.className = "smallNote cropStatus";
+      status.dataset.state = item.status === "failed" ? "bad" : item.status === "done" && !item.issue ? "ok" : "";
+      status.textContent = item.issue ? `${states[item.status]} • ${item.issue}` : states[item.status];
+
+      const actions = document.createElement("div");
+      actions.className = "controlRow";
+      const button = (role, text, label) => {
+        const b = document.createElement("button");
+        b.className = "btn btn--ghost btn--icon";
+        b.type = "button";
+        b.textContent = text;
+        b.dataset.role = role;
+        b.disabled = running;
+        b.setAttribute("aria-label", `${label} ${item.file.name}`);
+        actions.appendChild(b);
+      };
+      button("open", "Open", "Open in the editor:");
+      button("use", "Use current", "Replace with the current photo:");
+      button("remove", "✕", "Remove from the batch:");
+
+      card.append(thumb, name, status, actions);
+      batchList.appendChild(card);
     }
+  }
 
-    const crop = computeCropRectFromFace(bb, srcW, srcH);
+  function uniqueName(name, used) {
+    const base = (name.trim() || "photo").replace(/[\\/:*?"<>|]+/g, "_");
+    let out = base;
+    for (let i = 2; used.has(out.toLowerCase()); i++) out = `${base}_${i}`;
+    used.add(out.toLowerCase());
+    return out;
+  }
 
-    // Build RAW crop
-    rawPhotoCanvas.width = PHOTO_PX.w;
-    rawPhotoCanvas.height = PHOTO_PX.h;
-    const rctx = rawPhotoCanvas.getContext("2d", { willReadFrequently: true });
-    rctx.imageSmoothingEnabled = true;
-    rctx.imageSmoothingQuality = "high";
-    rctx.clearRect(0, 0, PHOTO_PX.w, PHOTO_PX.h);
-    rctx.drawImage(srcCanvas, crop.sx, crop.sy, crop.sw, crop.sh, 0, 0, PHOTO_PX.w, PHOTO_PX.h);
+  async function renderPersonSheet(item) {
+    // One full page of this person's photo with the current paper and layout settings.
+    const entry = { canvas: item.photo, spec: item.spec, qty: maxQtyForSheet(item.spec), name: item.name };
+    return jpegWithPrintMetadata(await renderSheetBlob(layoutPages([entry]).pages[0] || []), SHEET_DPI);
+  }
 
-    // Copy RAW into visible photo canvas
-    photoCanvas.width = PHOTO_PX.w;
-    photoCanvas.height = PHOTO_PX.h;
-    const pctx = photoCanvas.getContext("2d", { willReadFrequently: true });
-    pctx.clearRect(0, 0, PHOTO_PX.w, PHOTO_PX.h);
-    pctx.drawImage(rawPhotoCanvas, 0, 0);
+  async function exportBatchZip() {
+    const done = batchItems.filter((it) => it.status === "done" && it.photo);
+    if (!done.length) return;
+    enable(btnBatchZip, false);
+    const withSheets = !!batchSheetsToggle?.checked;
+    const files = [];
+    const used = new Set();
+    try {
+      for (const [i, item] of done.entries()) {
+        if (batchMeta) batchMeta.textContent = `Preparing ZIP… ${i + 1}/${done.length}`;
+        const name = uniqueName(item.name, used);
+        const photo = await encodeJpeg(item.photo, 0.95, PHOTO_DPI);
+        files.push({ name: `photos/${name}.jpg`, bytes: new Uint8Array(await photo.arrayBuffer()) });
+        if (withSheets) {
+          const sheet = await renderPersonSheet(item);
+          files.push({ name: `sheets/${name}_sheet.jpg`, bytes: new Uint8Array(await sheet.arrayBuffer()) });
+        }
+      }
+      downloadBlob(zipStore(files), `passport_batch_${nowStamp()}_x${done.length}.zip`);
+    } catch (e) {
+      setValidation(`ZIP export failed: ${e?.message || e || "Unknown error"}`, "bad");
+    } finally {
+      updateBatchUi();
+    }
+  }
 
-    hasRawPhoto = true;
-    updateApplyBgUi();
+  function onBatchListClick(e) {
+    const button = /** @type {HTMLElement} */ (e.target).closest("button[data-role]");
+    const card = button?.closest(".batchItem");
+    const item = card && batchItems.find((it) => String(it.id) === card.dataset.id);
+    if (!item || batchAbort) return;
+    const role = button.dataset.role;
+    if (role === "remove") {
+      batchItems = batchItems.filter((it) => it !== item);
+    } else if (role === "open") {
+      const replace =
+        !hasRawPhoto ||
+        window.confirm(
+          "Open this photo in the editor? It replaces the current photo and its undo history " +
+            "(the current photo stays under Saved photos).",
+        );
+      if (replace) void processUploadedFile(item.file);
+      return;
+    } else if (role === "use") {
+      if (!hasOutput) {
+        setValidation("No finished photo to use yet. Open the item (or take a photo) first.", "warn");
+        return;
+      }
+      closeCropEditor(true);
+      setBatchItemResult(item, copyCanvas(photoCanvas), activeSpec, "");
+    }
+    renderBatchList();
+  }
 
-    // Persist RAW in this browser session so Apply Background remains clickable
-    try {
-      const dataUrl = rawPhotoCanvas.toDataURL("image/jpeg", 0.95);
-      sessionStorage.setItem(STORAGE.rawPhoto, dataUrl);
-    } catch {
-      // ignore
+  // --- Saved photos (IndexedDB gallery) ---
+  // Every capture keeps its raw crop, cutout, finished photo, spec and background settings in this
+  // browser, so it survives closing the tab and can be reopened (no new remove.bg credit: the
+  // stored cutout seeds the cutout cache) or re-downloaded.
+  /**
+   * @typedef {{
+   *   id?: number, createdAt: number, updatedAt: number, specId: string,
+   *   raw: Blob, cutout: Blob | null, result: Blob | null, thumb: Blob,
+   *   settings: { bgHex: string, engine: string, enhance?: object } | null, measured: object | null, bytes: number,
+   * }} GalleryEntry
+   */
+  let galleryDb = null;
+
+  function openGalleryDb() {
+    if (!galleryDb) {
+      galleryDb = new Promise((resolve, reject) => {
+        if (!window.indexedDB) throw new Error("This browser cannot store photos (no IndexedDB).");
+        const req = indexedDB.open(GALLERY.db, GALLERY.version);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore(GALLERY.store, { keyPath: "id", autoIncrement: true });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      galleryDb.catch(() => {
+        galleryDb = null;
+      });
     }
+    return galleryDb;
+  }
 
-    await applyBackgroundToCurrent();
+  async function galleryRequest(mode, op) {
+    // One request in its own transaction; resolves once the transaction has committed.
+    const db = await openGalleryDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(GALLERY.store, mode);
+      const req = op(tx.objectStore(GALLERY.store));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Saving the photo was aborted."));
+    });
   }
 
-  function afterProcessSuccess({ note }) {
-    photoMeta.textContent = `${PHOTO_MM.w}×${PHOTO_MM.h}mm • ${PHOTO_PX.w}×${PHOTO_PX.h}px @ ${PHOTO_DPI}DPI`;
-    setValidation(`Done. ${note}`, "ok");
-    enable(qtyInput, true);
-    enable(btnDownloadJpg, true);
-    enable(btnDownloadPdf, true);
-    renderSheetAll();
+  const galleryGet = (id) => galleryRequest("readonly", (store) => store.get(id));
+  const galleryGetAll = () => galleryRequest("readonly", (store) => store.getAll());
+  const galleryPut = (entry) => galleryRequest("readwrite", (store) => store.put(entry));
+  const galleryDelete = (id) => galleryRequest("readwrite", (store) => store.delete(id));
+
+  function queueGalleryWrite(write) {
+    galleryWrites = galleryWrites
+      .then(write)
+      .catch((e) => {
+        // Quota or private-mode failures only cost the saved copy, never the current photo.
+        if (galleryMeta) galleryMeta.textContent = `Could not save the photo: ${e?.message || e || "Unknown error"}`;
+      })
+      .then(() => renderGallery());
+    return galleryWrites;
   }
 
-  // --- Sheet generation ---
-  function gridForQty(qty) {
-    // Cutting-friendly layout:
-    // - Up to 5 photos per row (requested)
-    // - Then wrap to next row
-    const cols = Math.max(1, Math.min(SHEET_LAYOUT.maxCols, qty));
-    const rows = Math.max(1, Math.ceil(qty / cols));
-    return { cols, rows };
+  function thumbBlob(canvas) {
+    const t = document.createElement("canvas");
+    t.width = GALLERY.thumbPx;
+    t.height = Math.round((GALLERY.thumbPx * canvas.height) / canvas.width);
+    t.getContext("2d").drawImage(canvas, 0, 0, t.width, t.height);
+    return canvasToBlob(t, "image/jpeg", 0.8);
   }
 
-  function renderSheet(targetCanvas, targetW, targetH, qty) {
-    const ctx = targetCanvas.getContext("2d", { willReadFrequently: false });
-    ctx.imageSmoothingEnabled = true;
-    ctx.imageSmoothingQuality = "high";
+  function entryBytes(entry) {
+    return [entry.raw, entry.cutout, entry.result, entry.thumb].reduce((n, b) => n + (b?.size || 0), 0);
+  }
 
-    // Background
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, targetW, targetH);
+  function gallerySaveRaw() {
+    // A new raw crop (capture, upload or crop edit): a stale cutout/result is dropped.
+    if (!galleryCurrent) galleryCurrent = { id: null };
+    const ref = galleryCurrent;
+    const specId = activeSpec.id;
+    const measured = lastCropMeasure;
+    // toBlob snapshots the canvas now; the write may run later.
+    const blobs = Promise.all([canvasToBlob(rawPhotoCanvas, "image/jpeg", 0.95), thumbBlob(rawPhotoCanvas)]);
+    void queueGalleryWrite(async () => {
+      const [raw, thumb] = await blobs;
+      const now = Date.now();
+      const prev = ref.id != null ? await galleryGet(ref.id) : null;
+      const entry = {
+        ...(prev || { createdAt: now }),
+        ...{ specId, raw, thumb, cutout: null, result: null, settings: null, measured, updatedAt: now },
+      };
+      entry.bytes = entryBytes(entry);
+      ref.id = await galleryPut(entry);
+    });
+  }
 
-    // Convert print sizes to this canvas scale
-    const scaleX = targetW / SHEET_PX.w;
-    const scaleY = targetH / SHEET_PX.h;
-    const scale = Math.min(scaleX, scaleY);
+  function gallerySaveResult(cutout, settings) {
+    const ref = galleryCurrent;
+    if (!ref) return;
+    const blobs = Promise.all([
+      canvasToBlob(cutout, "image/png"),
+      canvasToBlob(photoCanvas, "image/jpeg", 0.95),
+      thumbBlob(photoCanvas),
+    ]);
+    void queueGalleryWrite(async () => {
+      const [cutoutBlob, result, thumb] = await blobs;
+      const prev = ref.id != null ? await galleryGet(ref.id) : null;
+      if (!prev) return;
+      const entry = { ...prev, cutout: cutoutBlob, result, thumb, settings, updatedAt: Date.now() };
+      entry.bytes = entryBytes(entry);
+      await galleryPut(entry);
+    });
+  }
 
-    // Keep real-world sizes correct for A4@300DPI (even if photo crop is rendered at higher DPI).
-    const photoW = PHOTO_SHEET_PX.w * scale;
-    const photoH = PHOTO_SHEET_PX.h * scale;
-    // Tighter layout for paper saving + easier cutting
-    const margin = SHEET_LAYOUT.marginMm * (SHEET_DPI / MM_PER_INCH) * scale; // mm -> px
+  async function blobToCanvas(blob, w, h) {
+    const bmp = await createImageBitmap(blob);
+    const c = document.createElement("canvas");
+    c.width = w;
+    c.height = h;
+    c.getContext("2d", { willReadFrequently: true }).drawImage(bmp, 0, 0, w, h);
+    bmp.close?.();
+    return c;
+  }
 
-    const { cols, rows } = gridForQty(qty);
-    let gap = SHEET_LAYOUT.gapMm * (SHEET_DPI / MM_PER_INCH) * scale; // mm -> px
+  async function openGalleryEntry(entry) {
+    closeCropEditor(true);
+    bgAbort?.abort();
+    if (entry.specId !== activeSpec.id && PHOTO_SPECS[entry.specId]) {
+      setActiveSpec(entry.specId);
+      try {
+        localStorage.setItem(STORAGE.spec, activeSpec.id);
+      } catch {
+        // ignore
+      }
+    }
+    // No full frame behind a saved crop: the crop editor can only zoom in from here.
+    hasSourceFrame = false;
+    lastCrop = null;
+    lastCropMeasure = entry.measured || null;
+    qualityNote = "";
+    currentKept = false;
+
+    const raw = await blobToCanvas(entry.raw, photoPx.w, photoPx.h);
+    rawPhotoCanvas.width = photoPx.w;
+    rawPhotoCanvas.height = photoPx.h;
+    const rctx = rawPhotoCanvas.getContext("2d", { willReadFrequently: true });
+    rctx.clearRect(0, 0, photoPx.w, photoPx.h);
+    rctx.drawImage(raw, 0, 0);
+    hasRawPhoto = true;
+    galleryCurrent = { id: entry.id };
+    // Older records have no adjustments stored: they were made with the fixed defaults.
+    enhanceSettings = clampEnhance({ auto: false, ...entry.settings?.enhance });
+    renderEnhanceUi();
+    resetEditHistory();
+
+    if (entry.cutout && entry.settings) {
+      const key = `${entry.settings.engine}:${await hashCanvas(rawPhotoCanvas)}`;
+      cutoutCache.set(key, await blobToCanvas(entry.cutout, photoPx.w, photoPx.h));
+      while (cutoutCache.size > CUTOUT_CACHE_MAX) cutoutCache.delete(cutoutCache.keys().next().value);
+    }
 
-    let gridW = cols * photoW + (cols - 1) * gap;
-    let gridH = rows * photoH + (rows - 1) * gap;
+    photoCanvas.width = photoPx.w;
+    photoCanvas.height = photoPx.h;
+    const pctx = photoCanvas.getContext("2d", { willReadFrequently: true });
+    pctx.clearRect(0, 0, photoPx.w, photoPx.h);
+    updateApplyBgUi();
+    if (entry.result) {
+      pctx.drawImage(await blobToCanvas(entry.result, photoPx.w, photoPx.h), 0, 0);
+      if (entry.settings) renderBgColorOptions(entry.settings.bgHex);
+      afterProcessSuccess({ note: "Reopened from saved photos." });
+    } else {
+      pctx.drawImage(rawPhotoCanvas, 0, 0);
+      hasOutput = false;
+      photoMeta.textContent = photoMetaText();
+      refreshSheet();
+      setValidation("Reopened from saved photos. Apply Background to finish it.", "info");
+    }
+  }
 
-    // If it doesn't fit, tighten the gap.
-    const maxW = targetW - margin * 2;
-    const maxH = targetH - margin * 2;
-    if (gridW > maxW && cols > 1) {
-      gap = Math.max(1 * scale, (maxW - cols * photoW) / (cols - 1));
-      gridW = cols * photoW + (cols - 1) * gap;
+  async function restoreLatestFromGallery() {
+    try {
+      const entries = await galleryGetAll();
+      // The stored crop only fits the spec it was cut for.
+      const latest = entries
+        .filter((e) => e.specId === activeSpec.id)
+        .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+      if (latest) await openGalleryEntry(latest);
+    } catch {
+      // nothing saved / storage unavailable
     }
-    if (gridH > maxH && rows > 1) {
-      gap = Math.max(1 * scale, Math.min(gap, (maxH - rows * photoH) / (rows - 1)));
-      gridH = rows * photoH + (rows - 1) * gap;
+    await renderGallery();
+  }
+
+  async function migrateSessionPhoto() {
+    // Earlier versions kept one raw JPEG (data URL) in sessionStorage.
+    try {
+      const dataUrl = sessionStorage.getItem(STORAGE.rawPhoto);
+      const specId = sessionStorage.getItem(STORAGE.rawPhotoSpec) || DEFAULT_SPEC_ID;
+      if (!dataUrl) return;
+      sessionStorage.removeItem(STORAGE.rawPhoto);
+      sessionStorage.removeItem(STORAGE.rawPhotoSpec);
+      const raw = await (await fetch(dataUrl)).blob();
+      const px = pxSizeFromMm((PHOTO_SPECS[specId] || activeSpec).mm, PHOTO_DPI);
+      const thumb = await thumbBlob(await blobToCanvas(raw, px.w, px.h));
+      const now = Date.now();
+      const entry = { createdAt: now, updatedAt: now, specId, raw, thumb, cutout: null, result: null };
+      Object.assign(entry, { settings: null, measured: null, bytes: entryBytes({ raw, thumb }) });
+      await galleryPut(entry);
+    } catch {
+      // ignore
     }
+  }
 
-    // Start from top-left so remaining paper can be reused.
-    const startX = margin;
-    const startY = margin;
+  function galleryKeepDays() {
+    try {
+      const v = localStorage.getItem(STORAGE.galleryKeepDays);
+      if (v != null && Number.isFinite(Number(v))) return Number(v);
+    } catch {
+      // ignore
+    }
+    return GALLERY.keepDays;
+  }
 
-    // Draw photos (no shadows — cleaner for cutting)
-    ctx.save();
-    const stroke = Math.max(1, Math.round(1.2 * scale));
-    for (let r = 0; r < rows; r++) {
-      for (let c = 0; c < cols; c++) {
-        const i = r * cols + c;
-        if (i >= qty) break;
-        const x = startX + c * (photoW + gap);
-        const y = startY + r * (photoH + gap);
-        ctx.drawImage(photoCanvas, x, y, photoW, photoH);
-        ctx.lineWidth = stroke;
-        ctx.strokeStyle = "rgba(0,0,0,.18)";
-        ctx.strokeRect(x, y, photoW, photoH);
+  async function purgeExpiredGallery() {
+    const days = galleryKeepDays();
+    if (!(days > 0)) return;
+    try {
+      const cutoff = Date.now() - days * 86400000;
+      for (const entry of await galleryGetAll()) {
+        if (entry.updatedAt < cutoff) await galleryDelete(entry.id);
       }
+    } catch {
+      // ignore
     }
-    ctx.restore();
   }
 
-  function renderSheetAll() {
-    const qty = getQtyForRender();
-    if (qty == null) return; // don't snap while user is clearing/typing
-    // Full-res render
-    renderSheet(sheetCanvasFull, SHEET_PX.w, SHEET_PX.h, qty);
-    // Preview render
-    const pW = sheetCanvasPreview.width;
-    const pH = sheetCanvasPreview.height;
-    renderSheet(sheetCanvasPreview, pW, pH, qty);
+  function fmtBytes(n) {
+    if (n < 1024 * 1024) return `${Math.max(1, Math.round(n / 1024))} KB`;
+    if (n < 1024 * 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(n / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  }
+
+  async function renderGallery() {
+    if (!galleryList) return;
+    let entries = [];
+    try {
+      entries = (await galleryGetAll()).sort((a, b) => b.updatedAt - a.updatedAt);
+    } catch (e) {
+      if (galleryMeta) galleryMeta.textContent = `Saved photos unavailable: ${e?.message || e || "Unknown error"}`;
+      return;
+    }
+    for (const url of galleryUrls) URL.revokeObjectURL(url);
+    galleryUrls = [];
+    galleryList.innerHTML = "";
+    for (const entry of entries) {
+      const card = document.createElement("div");
+      card.className = "galleryItem";
+      card.dataset.id = String(entry.id);
+
+      const thumb = document.createElement("div");
+      thumb.className = "galleryItem__thumb";
+      const img = document.createElement("img");
+      img.alt = "";
+      img.src = URL.createObjectURL(entry.thumb);
+      galleryUrls.push(img.src);
+      thumb.appendChild(img);
+
+      const spec = PHOTO_SPECS[entry.specId];
+      const label = document.createElement("div");
+      label.className = "smallNote";
+      const color = BG_COLOR_NAMES[bgColorName(entry.settings?.bgHex)];
+      const state = entry.result ? `${color || "Custom"} background` : "No background yet";
+      const when = new Date(entry.updatedAt).toLocaleString();
+      label.textContent = `${spec ? specShortName(spec) : entry.specId} • ${when} • ${state} • ${fmtBytes(entry.bytes)}`;
+
+      const actions = document.createElement("div");
+      actions.className = "controlRow";
+      for (const [role, text, aria] of [
+        ["open", "Open", "Open saved photo"],
+        ["download", "Download", "Download saved photo"],
+        ["delete", "✕", "Delete saved photo"],
+      ]) {
+        const b = document.createElement("button");
+        b.className = "btn btn--ghost btn--icon";
+        b.type = "button";
+        b.textContent = text;
+        b.dataset.role = role;
+        b.setAttribute("aria-label", aria);
+        // Only a finished photo downloads; the raw crop still has its original background.
+        if (role === "download") b.disabled = !entry.result;
+        actions.appendChild(b);
+      }
+
+      card.append(thumb, label, actions);
+      galleryList.appendChild(card);
+    }
+    if (btnGalleryClear) enable(btnGalleryClear, entries.length > 0);
 
-    sheetMeta.textContent = `A4 ${A4_MM.w}×${A4_MM.h}mm • ${SHEET_PX.w}×${SHEET_PX.h}px @ ${SHEET_DPI}DPI • Qty ${qty}`;
+    if (!galleryMeta) return;
+    const total = entries.reduce((n, e) => n + (e.bytes || 0), 0);
+    let text = entries.length ? `${entries.length} saved • ${fmtBytes(total)}` : "No saved photos.";
+    try {
+      const est = await navigator.storage?.estimate?.();
+      if (est?.quota) text += ` • browser storage ${fmtBytes(est.usage || 0)} of ${fmtBytes(est.quota)} used`;
+    } catch {
+      // ignore
+    }
+    galleryMeta.textContent = text;
   }
 
-  // --- Download helpers ---
-  function downloadDataUrl(dataUrl, filename) {
-    const a = document.createElement("a");
-    a.href = dataUrl;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
+  function bgColorName(hex) {
+    return Object.keys(BG_COLORS).find((name) => BG_COLORS[name] === String(hex || "").toUpperCase());
   }
 
-  function exportJpg() {
-    const qty = normalizeQtyInInput();
-    const name = `passport_sheet_${nowStamp()}_x${qty}.jpg`;
-    const dataUrl = sheetCanvasFull.toDataURL("image/jpeg", 0.95);
-    downloadDataUrl(dataUrl, name);
+  async function onGalleryListClick(e) {
+    const button = /** @type {HTMLElement} */ (e.target).closest("button[data-role]");
+    const card = button?.closest(".galleryItem");
+    if (!card) return;
+    const id = Number(card.dataset.id);
+    try {
+      const entry = await galleryGet(id);
+      if (!entry) return;
+      const role = button.dataset.role;
+      if (role === "open") {
+        if (batchAbort) return;
+        stopCamera();
+        await openGalleryEntry(entry);
+      } else if (role === "download") {
+        if (!entry.result) return;
+        const spec = PHOTO_SPECS[entry.specId];
+        const blob = await jpegWithPrintMetadata(entry.result, PHOTO_DPI);
+        downloadBlob(blob, `passport_photo_${spec?.id || "photo"}_${nowStamp()}.jpg`);
+      } else if (role === "delete") {
+        if (galleryCurrent?.id === id) galleryCurrent = null;
+        await queueGalleryWrite(() => galleryDelete(id));
+      }
+    } catch (err) {
+      setValidation(`Saved photo: ${err?.message || err || "Unknown error"}`, "bad");
+    }
   }
 
-  function exportPdf() {
-    const qty = normalizeQtyInInput();
-    const name = `passport_sheet_${nowStamp()}_x${qty}.pdf`;
-    const dataUrl = sheetCanvasFull.toDataURL("image/jpeg", 0.95);
+  // --- Face detector harness (?faceHarness) ---
+  // Runs every backend on the images listed in FACE_SAMPLES_MANIFEST, e.g.
+  //   { "images": [{ "file": "two-people.jpg", "faces": 2 }] }   (files relative to the manifest)
+  // A backend passes an image when it finds the expected number of faces, plus eye landmarks
+  // when exactly one is expected (the crop needs them).
+  async function runFaceHarness() {
+    if (!faceHarnessResults || !faceHarnessMeta) return;
+    enable(btnFaceHarness, false);
+    // The live loop shares the detector instances.
+    stopCamera();
+    faceHarnessResults.innerHTML = "";
+    try {
+      const manifestUrl = new URL(FACE_SAMPLES_MANIFEST, location.href);
+      const res = await fetch(manifestUrl, { cache: "no-store" });
+      if (!res.ok) throw new Error(`${FACE_SAMPLES_MANIFEST}: HTTP ${res.status}`);
+      const images = (await res.json())?.images || [];
+      if (!images.length) {
+        faceHarnessMeta.textContent = `No sample images listed in ${FACE_SAMPLES_MANIFEST}.`;
+        return;
+      }
+
+      const ids = Object.keys(FACE_BACKENDS);
+      const totals = Object.fromEntries(ids.map((id) => [id, { pass: 0, ms: 0, runs: 0 }]));
+      const table = document.createElement("table");
+      table.className = "harnessTable";
+      const addRow = (cells, tag = "td") => {
+        const tr = document.createElement("tr");
+        for (const text of cells) {
+          const cell = document.createElement(tag);
+          cell.textContent = text;
+          tr.appendChild(cell);
+        }
+        table.appendChild(tr);
+        return tr;
+      };
+      addRow(["Image", "Expected", ...ids.map((id) => FACE_BACKENDS[id].label)], "th");
+      faceHarnessResults.appendChild(table);
 
-    const { jsPDF } = window.jspdf;
-    const pdf = new jsPDF({ orientation: "portrait", unit: "mm", format: "a4" });
-    pdf.addImage(dataUrl, "JPEG", 0, 0, A4_MM.w, A4_MM.h, undefined, "FAST");
-    pdf.save(name);
+      for (const [i, sample] of images.entries()) {
+        faceHarnessMeta.textContent = `Running… ${i + 1}/${images.length}`;
+        const tr = addRow([sample.file, String(sample.faces)]);
+        const canvas = document.createElement("canvas");
+        try {
+          const img = await fetch(new URL(sample.file, manifestUrl));
+          if (!img.ok) throw new Error(`HTTP ${img.status}`);
+          await loadFileIntoCanvas(await img.blob(), canvas);
+        } catch (e) {
+          const td = document.createElement("td");
+          td.textContent = `Load failed: ${e?.message || e}`;
+          tr.appendChild(td);
+          continue;
+        }
+        for (const id of ids) {
+          const td = document.createElement("td");
+          td.className = "cropStatus";
+          let pass = false;
+          try {
+            const { faces, ms } = await detectFaces(canvas, id);
+            pass = faces.length === sample.faces && (sample.faces !== 1 || !!faces[0].kp);
+            const scores = faces.map((f) => f.score).filter((v) => v != null);
+            const score = scores.length ? ` • ${Math.round(Math.min(...scores) * 100)}%` : "";
+            td.textContent = `${faces.length} • ${ms} ms${score}`;
+            totals[id].ms += ms;
+            totals[id].runs++;
+          } catch (e) {
+            td.textContent = `Error: ${e?.message || e}`;
+          }
+          td.dataset.state = pass ? "ok" : "bad";
+          if (pass) totals[id].pass++;
+          tr.appendChild(td);
+        }
+      }
+
+      faceHarnessMeta.textContent = ids
+        .map((id) => {
+          const t = totals[id];
+          const avg = t.runs ? `, avg ${Math.round(t.ms / t.runs)} ms` : "";
+          return `${FACE_BACKENDS[id].label}: ${t.pass}/${images.length} passed${avg}`;
+        })
+        .join(" • ");
+    } catch (e) {
+      faceHarnessMeta.textContent = `Harness failed: ${e?.message || e || "Unknown error"}`;
+    } finally {
+      enable(btnFaceHarness, true);
+      // Leave the live detector as the setting says (the harness loaded every backend).
+      setFaceBackendPref(faceBackendPref);
+    }
   }
 
   // --- Wire up events ---
   async function boot() {
-    // Restore saved settings (API key + background color)
+    // Restore saved settings (document spec + paper + API key + background color)
+    renderSpecOptions();
+    renderPaperOptions();
+    let savedSpec = null;
+    let savedBgColor = null;
+    let savedPaper = null;
+    let savedPaperOrient = null;
+    let savedLayout = null;
+    let savedEngine = null;
+    let savedKey = null;
+    let savedFaceBackend = null;
     try {
-      const savedKey = localStorage.getItem(STORAGE.removebgKey);
-      if (savedKey && removebgKey) removebgKey.value = savedKey;
+      savedSpec = localStorage.getItem(STORAGE.spec);
+      savedPaper = localStorage.getItem(STORAGE.paper);
+      savedPaperOrient = localStorage.getItem(STORAGE.paperOrient);
 
-      const savedBgColor = localStorage.getItem(STORAGE.bgColor);
-      if (savedBgColor) {
-        const radio = document.querySelector(`input[name="bgColor"][value="${savedBgColor}"]`);
-        if (radio) radio.checked = true;
-      }
+      savedKey = localStorage.getItem(STORAGE.removebgKey);
+      if (savedKey && removebgKey) removebgKey.value = savedKey;
+      savedEngine = localStorage.getItem(STORAGE.bgEngine);
+      const savedMode = localStorage.getItem(STORAGE.removebgMode);
+      if (savedMode && removebgModeSelect) removebgModeSelect.value = savedMode;
+      const savedProxy = localStorage.getItem(STORAGE.removebgProxyUrl);
+      if (savedProxy && removebgProxyUrl) removebgProxyUrl.value = savedProxy;
+
+      savedBgColor = localStorage.getItem(STORAGE.bgColor);
+      if (autoCaptureToggle) autoCaptureToggle.checked = localStorage.getItem(STORAGE.autoCapture) === "1";
+      if (digitalFormatSelect) digitalFormatSelect.value = localStorage.getItem(STORAGE.digitalFormat) === "png" ? "png" : "jpeg";
+      savedFaceBackend = localStorage.getItem(STORAGE.faceBackend);
     } catch {
       // ignore
     }
+    try {
+      savedLayout = JSON.parse(localStorage.getItem(STORAGE.sheetLayout) || "null");
+    } catch {
+      // ignore (defaults)
+    }
+    setSheetLayout(savedLayout);
+    setActivePaper(savedPaper || DEFAULT_PAPER_ID, savedPaperOrient === "landscape");
+    // Also sets the quantity limits, overlay guide and allowed background colors.
+    setActiveSpec(savedSpec || DEFAULT_SPEC_ID);
+    if (savedBgColor) renderBgColorOptions(savedBgColor);
+    // Existing remove.bg users keep HD; everyone else starts offline.
+    const hdConfigured = !!savedKey || getRemoveBgMode() === "proxy";
+    if (bgEngineSelect) bgEngineSelect.value = savedEngine || (hdConfigured ? "removebg" : "local");
     updateApplyBgUi();
+    setFaceBackendPref(savedFaceBackend || "auto");
+    if (new URLSearchParams(location.search).has("faceHarness")) faceHarnessPanel?.classList.remove("hidden");
 
     setStatus("Ready", "info");
-    photoCanvas.width = PHOTO_PX.w;
-    photoCanvas.height = PHOTO_PX.h;
-
-    const pctx = photoCanvas.getContext("2d");
-    pctx.fillStyle = "#ffffff";
-    pctx.fillRect(0, 0, PHOTO_PX.w, PHOTO_PX.h);
-
-    const sctx = sheetCanvasPreview.getContext("2d");
-    sctx.fillStyle = "#ffffff";
-    sctx.fillRect(0, 0, sheetCanvasPreview.width, sheetCanvasPreview.height);
+    resetPhotoCanvas();
+    clearSheetPreview();
 
-    // Quantity input constraints (A4 capacity)
-    if (qtyInput) {
-      qtyInput.min = "1";
-      qtyInput.max = String(MAX_QTY_A4);
-      if (!String(qtyInput.value || "").trim()) qtyInput.value = String(lastGoodQty);
-    }
+    if (qtyInput && !String(qtyInput.value || "").trim()) qtyInput.value = String(lastGoodQty);
 
-    // Restore last captured photo (if any) so Apply Background is clickable after refresh.
-    await restoreRawPhotoFromSession();
+    // Saved photos: import the old single session photo, drop expired records, then reopen the
+    // latest capture for this document (so Apply Background is clickable after a refresh).
+    if (galleryKeepSelect) galleryKeepSelect.value = String(galleryKeepDays());
+    await migrateSessionPhoto();
+    await purgeExpiredGallery();
+    await restoreLatestFromGallery();
 
     // Attempt device listing (labels may be blank until permission)
     try {
@@ -1033,6 +5377,7 @@
     }
 
     btnStart.addEventListener("click", async () => {
+      ensureCueAudio();
       try {
         const id = cameraSelect.value || null;
         enable(btnStart, false);
@@ -1048,24 +5393,26 @@
 
     btnStop.addEventListener("click", () => stopCamera());
 
+    autoCaptureToggle?.addEventListener("change", () => {
+      try {
+        localStorage.setItem(STORAGE.autoCapture, autoCaptureToggle.checked ? "1" : "0");
+      } catch {
+        // ignore
+      }
+      ensureCueAudio();
+      okStreak = 0;
+      if (!autoCaptureToggle.checked) autoCaptureAbort?.abort();
+    });
+
     btnCapture.addEventListener("click", () => {
       void captureAndProcess();
     });
 
     btnRetake.addEventListener("click", () => {
       // Clear current output (works for camera + upload)
-      enable(btnDownloadJpg, false);
-      enable(btnDownloadPdf, false);
-      enable(qtyInput, false);
-      photoMeta.textContent = "—";
-      sheetMeta.textContent = "—";
-      hasRawPhoto = false;
-      updateApplyBgUi();
-      try {
-        sessionStorage.removeItem(STORAGE.rawPhoto);
-      } catch {
-        // ignore
-      }
+      facePickCancel?.();
+      clearProcessedOutput();
+      hasSourceFrame = false;
       if (stream) {
         setValidation("Detecting face…", "info");
         if (!detectionTimer) detectionTimer = setInterval(() => void validateLive(), 240);
@@ -1079,47 +5426,77 @@
         void applyBackgroundToCurrent();
       });
     }
+    btnCancelBg?.addEventListener("click", () => bgAbort?.abort());
+
+    btnAdjust?.addEventListener("click", () => void openCropEditor());
+    btnCropCancel?.addEventListener("click", () => {
+      closeCropEditor(true);
+      setValidation("Crop adjustment cancelled.", "info");
+    });
+    btnCropApply?.addEventListener("click", () => void applyCropEdit());
+    btnCropReset?.addEventListener("click", () => {
+      if (!cropEditor) return;
+      cropEditor.crop = { ...cropEditor.start };
+      scheduleCropRender();
+    });
+    cropZoom?.addEventListener("input", () => {
+      if (!cropEditor) return;
+      const c = cropEditor.crop;
+      zoomCrop(c.sh / (cropEditor.start.sh / 2 ** (Number(cropZoom.value) / 100)));
+      scheduleCropRender();
+    });
+    cropRotate?.addEventListener("input", () => {
+      if (!cropEditor) return;
+      cropEditor.crop.angle = (Number(cropRotate.value) * Math.PI) / 180;
+      scheduleCropRender();
+    });
+    photoCanvas.addEventListener("pointerdown", onEditPointerDown);
+    photoCanvas.addEventListener("pointermove", onEditPointerMove);
+    photoCanvas.addEventListener("pointerup", onEditPointerUp);
+    photoCanvas.addEventListener("pointercancel", onEditPointerUp);
+    photoCanvas.addEventListener("wheel", onEditWheel, { passive: false });
+
+    btnUndo?.addEventListener("click", () => void stepHistory(-1));
+    btnRedo?.addEventListener("click", () => void stepHistory(1));
+    btnCompare?.addEventListener("click", () => setCompare(compareSplit == null));
+    for (const input of enhanceBar?.querySelectorAll("input[data-enhance]") || []) {
+      const { min, max } = ENHANCE[/** @type {HTMLInputElement} */ (input).dataset.enhance];
+      input.setAttribute("min", String(min));
+      input.setAttribute("max", String(max));
+    }
+    renderEnhanceUi();
+    enhanceBar?.addEventListener("input", onEnhanceInput);
+    enhanceBar?.addEventListener("change", onEnhanceChange);
+    btnEnhanceReset?.addEventListener("click", () => setEnhance(defaultEnhance()));
+    compareCanvas?.addEventListener("pointerdown", (e) => {
+      compareCanvas.setPointerCapture?.(e.pointerId);
+      onComparePointer(e);
+    });
+    compareCanvas?.addEventListener("pointermove", onComparePointer);
+    document.addEventListener("keydown", (e) => {
+      // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo; text fields keep their own undo.
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = /** @type {HTMLElement} */ (e.target);
+      if (t.closest?.("input, textarea, select, [contenteditable]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" || key === "y") {
+        e.preventDefault();
+        void stepHistory(key === "y" || e.shiftKey ? 1 : -1);
+      }
+    });
 
     if (btnUpload && fileInput) {
       btnUpload.addEventListener("click", () => fileInput.click());
+      btnFacePickCancel.addEventListener("click", () => {
+        facePickCancel?.();
+        setStatus("Ready", "info");
+        setValidation("Face selection cancelled. Upload another image or start the camera.", "info");
+      });
       fileInput.addEventListener("change", async () => {
         const file = fileInput.files?.[0];
         if (!file) return;
-        setStatus("Processing…", "info");
-        setValidation("Loading image…", "info");
-
-        // Stop camera to avoid confusion
-        stopCamera();
-        enable(btnRetake, true);
-
         try {
-          let bmp;
-          try {
-            bmp = await createImageBitmap(file, { imageOrientation: "from-image" });
-          } catch {
-            bmp = await createImageBitmap(file);
-          }
-
-          // Scale to a safe working size (keep quality, avoid memory spikes)
-          const maxSide = 2200;
-          const scale = Math.min(1, maxSide / Math.max(bmp.width, bmp.height));
-          const w = Math.max(1, Math.round(bmp.width * scale));
-          const h = Math.max(1, Math.round(bmp.height * scale));
-
-          workCanvas.width = w;
-          workCanvas.height = h;
-          const ctx = workCanvas.getContext("2d", { willReadFrequently: true });
-          ctx.imageSmoothingEnabled = true;
-          ctx.imageSmoothingQuality = "high";
-          ctx.clearRect(0, 0, w, h);
-          ctx.drawImage(bmp, 0, 0, w, h);
-
-          await initModelsOnce();
-          await processSourceCanvas(workCanvas);
-        } catch (e) {
-          const msg = String(e?.message || e || "Upload failed");
-          setValidation(`Upload failed: ${msg}`, "bad");
-          setStatus("Blocked", "bad");
+          await processUploadedFile(file);
         } finally {
           // allow uploading same file again
           fileInput.value = "";
@@ -1127,25 +5504,65 @@
       });
     }
 
-    document.querySelectorAll('input[name="bgColor"]').forEach((radio) => {
-      radio.addEventListener("change", () => {
-        try {
-          localStorage.setItem(STORAGE.bgColor, getBackgroundColorHex());
-        } catch {
-          // ignore
-        }
-        if (hasRawPhoto) void applyBackgroundToCurrent();
-      });
+    // Delegated: the radios are rebuilt whenever the spec changes.
+    bgColorOpts?.addEventListener("change", () => {
+      try {
+        localStorage.setItem(STORAGE.bgColor, getBackgroundColorHex());
+      } catch {
+        // ignore
+      }
+      if (!hasRawPhoto) return;
+      recordEdit(false);
+      void applyBackgroundToCurrent();
+    });
+
+    bgEngineSelect?.addEventListener("change", () => {
+      try {
+        localStorage.setItem(STORAGE.bgEngine, getBgEngine());
+      } catch {
+        // ignore
+      }
+      updateApplyBgUi();
+      void refreshRemoveBgCredits();
+      if (!hasRawPhoto) return;
+      recordEdit(false);
+      void applyBackgroundToCurrent();
+    });
+
+    specSelect?.addEventListener("change", () => {
+      setActiveSpec(specSelect.value);
+      void onSpecChanged();
     });
     if (removebgKey) {
+      let creditsTimer = null;
       removebgKey.addEventListener("input", () => {
         try {
           localStorage.setItem(STORAGE.removebgKey, removebgKey.value);
         } catch {
           // ignore
         }
+        clearTimeout(creditsTimer);
+        creditsTimer = setTimeout(() => void refreshRemoveBgCredits(), 800);
       });
     }
+    removebgModeSelect?.addEventListener("change", () => {
+      try {
+        localStorage.setItem(STORAGE.removebgMode, getRemoveBgMode());
+      } catch {
+        // ignore
+      }
+      updateApplyBgUi();
+      void refreshRemoveBgCredits();
+    });
+    removebgProxyUrl?.addEventListener("change", () => {
+      try {
+        localStorage.setItem(STORAGE.removebgProxyUrl, removebgProxyUrl.value.trim());
+      } catch {
+        // ignore
+      }
+      void refreshRemoveBgCredits();
+    });
+    void refreshRemoveBgCredits();
 
     cameraSelect.addEventListener("change", async () => {
       if (!stream) return;
@@ -1156,6 +5573,15 @@
       }
     });
 
+    paperSelect?.addEventListener("change", () => {
+      setActivePaper(paperSelect.value, paperLandscape);
+      onPaperChanged();
+    });
+    paperOrientSelect?.addEventListener("change", () => {
+      setActivePaper(activePaper.id, paperOrientSelect.value === "landscape");
+      onPaperChanged();
+    });
+
     if (qtyInput) {
       qtyInput.addEventListener("input", () => renderSheetAll());
       qtyInput.addEventListener("change", () => {
@@ -1167,8 +5593,124 @@
         renderSheetAll();
       });
     }
+    for (const el of [
+      sheetMarginInput,
+      sheetGapInput,
+      sheetRotateToggle,
+      sheetCutMarksToggle,
+      sheetBleedInput,
+      sheetCaptionsSelect,
+      sheetRulerToggle,
+    ]) {
+      el?.addEventListener("change", () => onSheetLayoutChanged());
+    }
+    captionNameInput?.addEventListener("change", () => {
+      if (currentOnSheet() && sheetLayout.captions !== "off") renderSheetAll();
+    });
+    btnPagePrev?.addEventListener("click", () => {
+      sheetPage -= 1;
+      renderSheetAll();
+    });
+    btnPageNext?.addEventListener("click", () => {
+      sheetPage += 1;
+      renderSheetAll();
+    });
+    btnKeepOnSheet?.addEventListener("click", () => keepCurrentOnSheet());
+    btnClearSheet?.addEventListener("click", () => {
+      sheetItems = [];
+      currentKept = false;
+      refreshSheet();
+    });
+    // Delegated: the item rows are rebuilt on every change.
+    sheetItemsList?.addEventListener("change", (e) => {
+      const input = /** @type {HTMLInputElement} */ (e.target);
+      const item = sheetItems.find((it) => String(it.id) === input.closest(".sheetItem")?.dataset.id);
+      if (!item) return;
+      if (input.dataset.role === "name") {
+        item.name = input.value.trim();
+        refreshSheet();
+        return;
+      }
+      if (input.dataset.role !== "qty") return;
+      const n = Math.trunc(Number(input.value));
+      item.qty = clamp(Number.isFinite(n) ? n : item.qty, 0, maxQtyForPrint(item.spec));
+      refreshSheet();
+    });
+    sheetItemsList?.addEventListener("click", (e) => {
+      const btn = /** @type {HTMLElement} */ (e.target).closest("[data-role='remove']");
+      const id = btn?.closest(".sheetItem")?.dataset.id;
+      if (!id) return;
+      sheetItems = sheetItems.filter((it) => String(it.id) !== id);
+      refreshSheet();
+    });
     btnDownloadJpg.addEventListener("click", () => exportJpg());
     btnDownloadPdf.addEventListener("click", () => exportPdf());
+    btnExportCancel?.addEventListener("click", () => exportAbort?.abort());
+    btnDownloadDigital?.addEventListener("click", () => exportDigital());
+
+    btnBatchFiles?.addEventListener("click", () => batchFilesInput?.click());
+    btnBatchFolder?.addEventListener("click", () => batchFolderInput?.click());
+    for (const input of [batchFilesInput, batchFolderInput]) {
+      input?.addEventListener("change", () => {
+        addBatchFiles(input.files);
+        input.value = "";
+      });
+    }
+    btnBatchRetry?.addEventListener("click", () => {
+      for (const item of batchItems) {
+        if (item.status !== "failed") continue;
+        item.status = "queued";
+        item.issue = "";
+      }
+      renderBatchList();
+      void runBatch();
+    });
+    btnBatchCancel?.addEventListener("click", () => batchAbort?.abort());
+    btnBatchClear?.addEventListener("click", () => {
+      batchItems = [];
+      renderBatchList();
+    });
+    btnBatchZip?.addEventListener("click", () => void exportBatchZip());
+
+    galleryList?.addEventListener("click", (e) => void onGalleryListClick(e));
+    galleryKeepSelect?.addEventListener("change", () => {
+      try {
+        localStorage.setItem(STORAGE.galleryKeepDays, galleryKeepSelect.value);
+      } catch {
+        // ignore
+      }
+      void purgeExpiredGallery().then(() => renderGallery());
+    });
+    btnGalleryClear?.addEventListener("click", () => {
+      if (!window.confirm("Delete all saved photos from this browser?")) return;
+      galleryCurrent = null;
+      void queueGalleryWrite(async () => {
+        for (const entry of await galleryGetAll()) await galleryDelete(entry.id);
+      });
+    });
+    batchList?.addEventListener("click", onBatchListClick);
+    batchList?.addEventListener("change", (e) => {
+      const input = /** @type {HTMLInputElement} */ (e.target);
+      const card = input.closest(".batchItem");
+      const item = card && batchItems.find((it) => String(it.id) === card.dataset.id);
+      if (item && input.dataset.role === "name") item.name = input.value.trim();
+    });
+    digitalFormatSelect?.addEventListener("change", () => {
+      try {
+        localStorage.setItem(STORAGE.digitalFormat, digitalFormatSelect.value);
+      } catch {
+        // ignore
+      }
+    });
+    faceBackendSelect?.addEventListener("change", () => {
+      try {
+        localStorage.setItem(STORAGE.faceBackend, faceBackendSelect.value);
+      } catch {
+        // ignore
+      }
+      setFaceBackendPref(faceBackendSelect.value);
+    });
+    btnFaceHarness?.addEventListener("click", () => void runFaceHarness());
 
     // Stop camera on page hide (mobile reliability)
     document.addEventListener("visibilitychange", () => {
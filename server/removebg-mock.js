@@ -0,0 +1,136 @@
+/* remove.bg mock server for testing the client (Node 18+, no dependencies)
+   - Same paths and error shapes as the remove.bg v1.0 API: POST /removebg, GET /account
+   - A path prefix picks the scenario, so the app's base URL selects it:
+       ?removebgApi=http://localhost:8788            success (echoes the uploaded image)
+       ?removebgApi=http://localhost:8788/429        rate limited (Retry-After: 1)
+       ?removebgApi=http://localhost:8788/flaky      503 twice, then success (retry/backoff)
+     Scenarios: ok, 400, 402, 403, 413, 429, 500, 503, flaky, slow (MOCK_SLOW_MS, for cancel/timeout)
+   - Any X-Api-Key is accepted. The proxy can sit in front of it too:
+       REMOVEBG_API_BASE=http://localhost:8788/flaky node server/removebg-proxy.js
+   Run: node server/removebg-mock.js   (PORT defaults to 8788, listens on 127.0.0.1 only)
+*/
+
+"use strict";
+
+const http = require("http");
+
+// --- Config ---
+const env = process.env;
+const CONFIG = {
+  port: Number(env.PORT) || 8788,
+  slowMs: Number(env.MOCK_SLOW_MS) || 90000,
+  // flaky: failures before each success
+  flakyFailures: Number(env.MOCK_FLAKY_FAILURES) || 2,
+};
+
+// --- Scenarios ---
+const ERRORS = {
+  400: { code: "unknown_foreground", title: "Could not identify foreground in image." },
+  402: { code: "insufficient_credits", title: "Insufficient credits." },
+  403: { code: "auth_failed", title: "Invalid API key." },
+  413: { code: "file_too_large", title: "File too large." },
+  429: { code: "rate_limit_exceeded", title: "Rate limit exceeded." },
+  500: { code: "internal_error", title: "Internal server error." },
+  503: { code: "service_unavailable", title: "Service temporarily unavailable." },
+};
+const SCENARIOS = ["ok", ...Object.keys(ERRORS), "flaky", "slow"];
+let flakyCount = 0;
+
+// --- HTTP helpers ---
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Accept, X-Api-Key",
+  "Access-Control-Expose-Headers": "Retry-After, X-Credits-Charged",
+};
+
+function sendError(res, status) {
+  const extra = status === 429 ? { "Retry-After": "1" } : {};
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS, ...extra });
+  res.end(JSON.stringify({ errors: [ERRORS[status]] }));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+async function sendCutout(req, res) {
+  // Echo the uploaded image_file: enough for the app to composite a background onto.
+  const body = await readBody(req);
+  const form = await new Request("http://mock/", {
+    method: "POST",
+    headers: { "Content-Type": req.headers["content-type"] || "" },
+    body,
+  }).formData();
+  const file = form.get("image_file");
+  if (!file || typeof file === "string") {
+    res.writeHead(400, { "Content-Type": "application/json", ...CORS });
+    res.end(JSON.stringify({ errors: [{ code: "missing_source", title: "No image_file in the request." }] }));
+    return;
+  }
+  res.writeHead(200, { "Content-Type": file.type || "image/png", "X-Credits-Charged": "1", ...CORS });
+  res.end(Buffer.from(await file.arrayBuffer()));
+}
+
+function sendAccount(res) {
+  res.writeHead(200, { "Content-Type": "application/json", ...CORS });
+  res.end(JSON.stringify({ data: { attributes: { credits: { total: 42 }, api: { free_calls: 5 } } } }));
+}
+
+// --- Routes ---
+async function handle(req, res) {
+  const url = new URL(req.url || "/", "http://localhost");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS);
+    res.end();
+    return;
+  }
+
+  // "/429/removebg" → scenario "429", route "/removebg"
+  const m = /^(?:\/([\w-]+))?(\/removebg|\/account)$/.exec(url.pathname);
+  const scenario = m?.[1] || "ok";
+  const route = m?.[2];
+  const isRemove = req.method === "POST" && route === "/removebg";
+  const isAccount = req.method === "GET" && route === "/account";
+  console.log(`${req.method} ${url.pathname} → ${scenario}`);
+  if ((!isRemove && !isAccount) || !SCENARIOS.includes(scenario)) {
+    res.writeHead(404, { "Content-Type": "application/json", ...CORS });
+    res.end(JSON.stringify({ errors: [{ code: "not_found", title: "Not found." }] }));
+    return;
+  }
+
+  if (ERRORS[scenario]) {
+    sendError(res, Number(scenario));
+    return;
+  }
+  if (scenario === "flaky" && isRemove && flakyCount++ < CONFIG.flakyFailures) {
+    sendError(res, 503);
+    return;
+  }
+  if (scenario === "flaky" && isRemove) flakyCount = 0;
+  if (scenario === "slow") await new Promise((resolve) => setTimeout(resolve, CONFIG.slowMs));
+  if (res.destroyed) return;
+
+  if (isAccount) sendAccount(res);
+  else await sendCutout(req, res);
+}
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      if (!res.headersSent) {
+        res.writeHead(500, { "Content-Type": "application/json", ...CORS });
+        res.end(JSON.stringify({ errors: [{ code: "mock_error", title: String(e?.message || e) }] }));
+      } else {
+        res.destroy();
+      }
+    });
+  })
+  .listen(CONFIG.port, "127.0.0.1", () => {
+    console.log(`remove.bg mock on http://localhost:${CONFIG.port} (scenarios: ${SCENARIOS.join(", ")})`);
+  });
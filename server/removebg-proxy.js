@@ -0,0 +1,269 @@
+/* remove.bg proxy (Node 18+, no dependencies)
+   - Holds REMOVEBG_API_KEY server-side; the browser never sees it
+   - Same paths as the remove.bg v1.0 API: POST /removebg, GET /account (opt-in)
+   - Per-client rate limit (token bucket) + upload size cap
+   Run: node server/removebg-proxy.js   (reads env vars and ./.env if present)
+*/
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+// --- Config ---
+function loadDotEnv(file) {
+  // Minimal KEY=VALUE reader; real env vars win.
+  let text = "";
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch {
+    return;
+  }
+  for (const line of text.split(/\r?\n/)) {
+    const m = /^\s*([A-Z0-9_]+)\s*=\s*(.*?)\s*$/.exec(line);
+    if (!m || line.trim().startsWith("#")) continue;
+    const value = m[2].replace(/^(['"])(.*)\1$/, "$2");
+    if (process.env[m[1]] === undefined) process.env[m[1]] = value;
+  }
+}
+loadDotEnv(path.join(__dirname, "..", ".env"));
+
+const env = process.env;
+const CONFIG = {
+  port: Number(env.PORT) || 8787,
+  apiKey: String(env.REMOVEBG_API_KEY || "").trim(),
+  upstream: String(env.REMOVEBG_API_BASE || "https://api.remove.bg/v1.0").replace(/\/$/, ""),
+  // Comma-separated list of allowed browser origins, or "*". Unset: same-origin only, since any
+  // page allowed here spends the operator's credits.
+  allowedOrigins: String(env.ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean),
+  ratePerMinute: Number(env.RATE_LIMIT_PER_MIN) || 10,
+  rateBurst: Number(env.RATE_LIMIT_BURST) || 5,
+  maxUploadBytes: (Number(env.MAX_UPLOAD_MB) || 8) * 1024 * 1024,
+  upstreamTimeoutMs: Number(env.UPSTREAM_TIMEOUT_MS) || 60000,
+  // Only trust X-Forwarded-For when running behind your own reverse proxy.
+  trustProxy: env.TRUST_PROXY === "1",
+  // Credits are account-wide; only expose them if every client may see them.
+  exposeAccount: env.EXPOSE_ACCOUNT === "1",
+};
+
+// --- Rate limit (token bucket per client) ---
+/** @type {Map<string, { tokens: number, at: number }>} */
+const buckets = new Map();
+
+function clientId(req) {
+  if (CONFIG.trustProxy) {
+    const fwd = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+    if (fwd) return fwd;
+  }
+  return req.socket.remoteAddress || "unknown";
+}
+
+function takeToken(id) {
+  // Returns 0 when allowed, else milliseconds until the next token.
+  const now = Date.now();
+  const perMs = CONFIG.ratePerMinute / 60000;
+  const b = buckets.get(id) || { tokens: CONFIG.rateBurst, at: now };
+  b.tokens = Math.min(CONFIG.rateBurst, b.tokens + (now - b.at) * perMs);
+  b.at = now;
+  buckets.set(id, b);
+  if (b.tokens >= 1) {
+    b.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - b.tokens) / perMs);
+}
+
+// Forget idle clients (a full bucket carries no state).
+setInterval(() => {
+  const idleMs = (CONFIG.rateBurst / CONFIG.ratePerMinute) * 60000;
+  const now = Date.now();
+  for (const [id, b] of buckets) {
+    if (now - b.at > idleMs) buckets.delete(id);
+  }
+}, 60000).unref();
+
+// --- HTTP helpers ---
+function sameOrigin(req, origin) {
+  // App and proxy served from one host (e.g. behind the same reverse proxy) need no config.
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+function corsHeaders(req) {
+  const origin = req.headers.origin;
+  if (!origin) return {};
+  const any = CONFIG.allowedOrigins.includes("*");
+  if (!any && !CONFIG.allowedOrigins.includes(origin) && !sameOrigin(req, origin)) return {};
+  return {
+    "Access-Control-Allow-Origin": any ? "*" : origin,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept",
+    "Access-Control-Expose-Headers": "Retry-After, X-Credits-Charged",
+    "Access-Control-Max-Age": "600",
+    Vary: "Origin",
+  };
+}
+
+// Errors use remove.bg's shape so the front end handles proxy and direct mode alike.
+function sendError(req, res, status, code, title, extraHeaders = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    ...corsHeaders(req),
+    ...extraHeaders,
+  });
+  res.end(JSON.stringify({ errors: [{ title, code }] }));
+}
+
+function readBodyCapped(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size <= maxBytes) {
+        chunks.push(chunk);
+        return;
+      }
+      // Stop buffering but keep the socket: destroying it would hide the 413 from the client.
+      // The rest of the body is drained and the connection closed after the response.
+      req.off("data", onData);
+      req.resume();
+      chunks.length = 0;
+      reject(Object.assign(new Error("Upload too large"), { code: "too_large" }));
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+async function forward(req, res, method, upstreamPath, body) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), CONFIG.upstreamTimeoutMs);
+  // Stop spending upstream time (and credits) if the browser gave up.
+  res.on("close", () => {
+    if (!res.writableEnded) ctrl.abort();
+  });
+
+  let upstream;
+  try {
+    upstream = await fetch(`${CONFIG.upstream}${upstreamPath}`, {
+      method,
+      headers: {
+        "X-Api-Key": CONFIG.apiKey,
+        Accept: req.headers.accept || "*/*",
+        ...(body ? { "Content-Type": req.headers["content-type"] || "application/octet-stream" } : {}),
+      },
+      body,
+      signal: ctrl.signal,
+    });
+  } catch (e) {
+    clearTimeout(timer);
+    if (res.writableEnded || res.destroyed) return;
+    const timedOut = ctrl.signal.aborted;
+    sendError(req, res, timedOut ? 504 : 502, timedOut ? "upstream_timeout" : "upstream_unreachable", String(e?.message || e));
+    return;
+  }
+
+  const headers = { ...corsHeaders(req) };
+  for (const h of ["content-type", "retry-after", "x-credits-charged"]) {
+    const v = upstream.headers.get(h);
+    if (v) headers[h] = v;
+  }
+  try {
+    const buf = Buffer.from(await upstream.arrayBuffer());
+    res.writeHead(upstream.status, headers);
+    res.end(buf);
+  } catch (e) {
+    if (!res.headersSent) sendError(req, res, 502, "upstream_read_failed", String(e?.message || e));
+    else res.destroy();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// --- Routes ---
+async function handle(req, res) {
+  const url = new URL(req.url || "/", "http://localhost");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, corsHeaders(req));
+    res.end();
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/health") {
+    res.writeHead(200, { "Content-Type": "application/json", ...corsHeaders(req) });
+    res.end(JSON.stringify({ ok: true, configured: !!CONFIG.apiKey }));
+    return;
+  }
+
+  if (req.headers.origin && !Object.keys(corsHeaders(req)).length) {
+    sendError(req, res, 403, "origin_not_allowed", "Origin not allowed.");
+    return;
+  }
+
+  const isRemove = req.method === "POST" && url.pathname === "/removebg";
+  const isAccount = req.method === "GET" && url.pathname === "/account" && CONFIG.exposeAccount;
+  if (!isRemove && !isAccount) {
+    sendError(req, res, 404, "not_found", "Not found.");
+    return;
+  }
+
+  const waitMs = takeToken(clientId(req));
+  if (waitMs > 0) {
+    sendError(req, res, 429, "rate_limit_exceeded", "Too many requests. Slow down.", {
+      "Retry-After": String(Math.ceil(waitMs / 1000)),
+    });
+    return;
+  }
+
+  if (isAccount) {
+    await forward(req, res, "GET", "/account");
+    return;
+  }
+
+  const declared = Number(req.headers["content-length"]);
+  // The body is left unread: close the connection after the 413 instead of reusing it.
+  const tooLarge = () =>
+    sendError(req, res, 413, "file_too_large", "Image exceeds the upload size limit.", { Connection: "close" });
+  if (Number.isFinite(declared) && declared > CONFIG.maxUploadBytes) {
+    tooLarge();
+    return;
+  }
+  let body;
+  try {
+    body = await readBodyCapped(req, CONFIG.maxUploadBytes);
+  } catch (e) {
+    if (e?.code === "too_large") tooLarge();
+    return;
+  }
+  await forward(req, res, "POST", "/removebg", body);
+}
+
+if (!CONFIG.apiKey) {
+  console.error("REMOVEBG_API_KEY is not set (env or .env). Refusing to start.");
+  process.exit(1);
+}
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      if (!res.headersSent) sendError(req, res, 500, "proxy_error", String(e?.message || e));
+      else res.destroy();
+    });
+  })
+  .listen(CONFIG.port, () => {
+    console.log(
+      `remove.bg proxy on :${CONFIG.port} → ${CONFIG.upstream} ` +
+        `(${CONFIG.ratePerMinute}/min, burst ${CONFIG.rateBurst}, max ${CONFIG.maxUploadBytes / 1048576}MB, ` +
+        `origins: ${CONFIG.allowedOrigins.join(", ") || "same-origin only"})`,
+    );
+  });